@@ -2,37 +2,190 @@
 let bookmarks = [];
 let currentPath = [];
 let editingItem = null;
+let editingItemVersion = null; // Tracked fields of editingItem when the form was opened
 let fileName = 'bookmarks.json';
 let searchQuery = '';
+let mostUsedView = false; // Pane 1 lists the most used bookmarks instead of the root folder
+let smartFolders = []; // Saved searches shown as read-only folders: [{ id, name, query }]
+let openSmartFolderId = null; // Smart folder shown in pane 2, if any
+let rootSort = null; // How the root pane is sorted; folders keep theirs in their sort field
+let applyingLocationHash = false; // Set while the panes follow the address bar, so they do not write it back
+let pendingImport = null;
+let searchSuggestions = [];
+let activeSuggestionIndex = -1;
+let keyboardFocus = null; // { level, itemId } of the item selected with the keyboard
+let paletteMode = 'commands';
+let paletteEntries = [];
+let activePaletteIndex = 0;
+let tagSuggestions = [];
+let activeTagSuggestionIndex = -1;
+const expandedNotes = new Set(); // Ids of items whose notes row is open
+const selectedItems = new Set(); // Ids of items selected with ctrl/shift-click
+let selectionAnchor = null; // { containerId, itemId } where the last selection click happened
 const STORAGE_KEY = 'homepageBookmarks';
+const UNREADABLE_STORAGE_KEY = 'homepageBookmarksUnreadable';
+
+// IndexedDB storage: one record per item, plus metadata (schema version, item order)
+const BOOKMARK_DB_NAME = 'homepageBookmarks';
+const BOOKMARK_ITEMS_STORE = 'items';
+const BOOKMARK_META_STORE = 'meta';
+const BOOKMARK_SNAPSHOT_STORE = 'snapshots';
+let storageBackend = null; // Where bookmarks are stored (see openStorageBackend)
+let saveQueued = false;
+let resolveStorageReady = null;
+// Saves and syncs, run one at a time in order; nothing runs until loadBookmarks has opened the storage
+let saveChain = new Promise(resolve => {
+    resolveStorageReady = resolve;
+});
+
+// What this tab last read from or wrote to storage: the base for finding changes made here or in other tabs
+let syncedItems = new Map(); // id -> JSON of the item
+let syncedOrder = '';
+let syncedRevision = 0; // Incremented by every save, in any tab
+
+// Tabs tell each other about saves over a BroadcastChannel (or, without one, through a localStorage key)
+const SYNC_CHANNEL_NAME = 'homepageBookmarks';
+const SYNC_STORAGE_KEY = 'homepageSync';
+const TAB_ID = generateItemId();
+let syncChannel = null;
 const SETTINGS_KEY = 'homepageSettings';
-const NAVIGATION_STATE_KEY = 'homepageNavigationState';
+const SMART_FOLDERS_KEY = 'homepageSmartFolders';
+const ROOT_SORT_KEY = 'homepageRootSort';
+const NAVIGATION_STATE_KEY = 'homepageNavigationState'; // Per tab in sessionStorage; localStorage seeds new tabs
+const HISTORY_KEY = 'homepageHistory'; // Per tab in sessionStorage, so undo never replays another tab's steps
+
+// Snapshots of the whole tree, taken before imports, before deleting folders with contents and once a day
+const SNAPSHOT_STORAGE_KEY = 'homepageSnapshots'; // localStorage fallback; IndexedDB uses the snapshots store
+const SNAPSHOT_KEEP_RECENT = 10; // The newest snapshots are always kept...
+const SNAPSHOT_KEEP_DAYS = 30; // ...plus the newest snapshot of each day for this many days
+const SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 60 * 1000; // How often an open page checks whether the daily snapshot is due
+const SNAPSHOT_REASONS = {
+    import: 'Before import',
+    delete: 'Before deleting folders',
+    restore: 'Before restore',
+    emptyTrash: 'Before emptying the trash',
+    daily: 'Daily',
+    manual: 'Taken manually'
+};
+const SNAPSHOT_DIFF_LIMIT = 50; // Items listed per section of a snapshot comparison
+let snapshotChain = Promise.resolve(); // Snapshot writes, one at a time
+let openSnapshots = []; // Snapshots listed in the History panel
+
+// Version of the stored/exported bookmark format
+const SCHEMA_VERSION = 1;
+
+// Migrations from each older schema version to the next one
+// Each receives data in version N and returns data in version N + 1
+const SCHEMA_MIGRATIONS = {
+    // Version 0 was a bare array of items
+    0: (data) => ({ schemaVersion: 1, bookmarks: data })
+};
+
+// Name of the folder that receives items whose parent is missing
+const RECOVERED_FOLDER_NAME = 'Recovered';
+
+// Maximum number of undo steps kept (and persisted)
+const MAX_HISTORY = 100;
+
+// Fields that record usage rather than user edits; undo/redo never rewinds them
+const UNTRACKED_FIELDS = ['accessTime', 'visits', 'health'];
+
+// Undo/redo stacks of recorded changes
+let undoStack = [];
+let redoStack = [];
 
 // Default settings
 const DEFAULT_SETTINGS = {
     fontSize: 16,
-    itemGap: 8
+    itemGap: 8,
+    // Endpoint that reports a URL's status; {url} is replaced by the encoded bookmark URL
+    linkCheckEndpoint: 'http://localhost:8787/check?url={url}',
+    linkCheckConcurrency: 4,
+    // Proxy for favicons of sites that block cross-origin requests; {url} is replaced by the encoded URL
+    // Empty (the default) means no proxy: such sites get a letter avatar and no URL leaves the browser
+    faviconProxy: '',
+    trashRetentionDays: 30, // Items in the trash longer than this are deleted for good
+    theme: 'light', // 'light', 'dark', 'auto' (follow the system) or the id of a custom palette
+    palettes: [] // Custom palettes: { id, name, base: 'light' | 'dark', colors: { key: '#rrggbb' } }
+};
+
+// Built-in themes; their colours are defined in styles.css
+const BUILT_IN_THEMES = {
+    light: 'Light',
+    dark: 'Dark',
+    auto: 'Auto (follow the system)'
 };
 
+// Theme colours a custom palette can change, with the CSS variable each one sets
+// The other colours in styles.css come from the palette's base theme
+const THEME_COLORS = [
+    { key: 'backgroundStart', variable: '--background-start', label: 'Background (top left)' },
+    { key: 'backgroundEnd', variable: '--background-end', label: 'Background (bottom right)' },
+    { key: 'surface', variable: '--surface', label: 'Header and dialogs' },
+    { key: 'surfaceAlt', variable: '--surface-alt', label: 'Panes' },
+    { key: 'text', variable: '--text', label: 'Text' },
+    { key: 'textMuted', variable: '--text-muted', label: 'Secondary text' },
+    { key: 'border', variable: '--border', label: 'Borders' },
+    { key: 'accent', variable: '--accent', label: 'Accent' },
+    { key: 'accentHover', variable: '--accent-hover', label: 'Accent (hover)' },
+    { key: 'highlight', variable: '--highlight', label: 'Highlighted items' },
+    { key: 'danger', variable: '--danger', label: 'Delete and errors' },
+    { key: 'success', variable: '--success', label: 'Save and success' }
+];
+
+// Marks exported palette files
+const PALETTE_FILE_FORMAT = 'homepage-palette';
+
+// Theme and palettes being edited (and previewed) in the settings modal
+let themeDraft = null;
+
+// How often an open page looks for trash items past trashRetentionDays
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Maximum time to wait for the status of one link
+const LINK_CHECK_TIMEOUT_MS = 20000;
+let linkCheckRunning = false;
+
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     loadSettings();
     applySettings();
+    watchColorScheme();
     setupEventListeners();
-    loadBookmarks();
+    setupSync();
+    const hadStoredData = await loadBookmarks();
+    resolveStorageReady();
+    loadSmartFolders();
+    loadRootSort();
+    loadHistory();
+    updateHistoryButtons();
+    
+    // Add some default bookmarks if empty (but never over stored data that failed to load)
+    if (bookmarks.length === 0 && !hadStoredData) {
+        addDefaultBookmarks();
+        saveBookmarks();
+    }
     
     // Restore navigation state before rendering
     restoreNavigationState();
     renderNavigation();
     
-    // Add some default bookmarks if empty
-    if (bookmarks.length === 0) {
-        addDefaultBookmarks();
-        saveBookmarks();
+    // A link to a folder or search wins over the stored place; without one, the address bar shows the stored place
+    if (location.hash) {
+        applyLocationHash();
+    } else {
+        updateLocationHash(true);
     }
+    window.addEventListener('hashchange', applyLocationHash);
     
     updateFileStatus();
     
+    takeDailySnapshot();
+    setInterval(takeDailySnapshot, SNAPSHOT_CHECK_INTERVAL_MS);
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+    
     // Save navigation state before page unload (when clicking bookmarks)
     window.addEventListener('beforeunload', () => {
         saveNavigationState();
@@ -44,690 +197,3669 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 5000); // Save every 5 seconds
 });
 
-// Load bookmarks from localStorage
-function loadBookmarks() {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-        try {
-            bookmarks = JSON.parse(stored);
-            // Ensure all bookmarks have required fields (for backward compatibility)
-            bookmarks.forEach((bookmark, index) => {
-                if (bookmark.accessTime === undefined) {
-                    bookmark.accessTime = 0;
-                }
-                if (bookmark.order === undefined) {
-                    bookmark.order = index;
-                }
-            });
-        } catch (e) {
-            console.error('Error loading bookmarks from localStorage:', e);
+// Load bookmarks from storage, moving data saved by older versions from localStorage to IndexedDB once
+// Resolves with whether anything was stored (even if it could not be read)
+async function loadBookmarks() {
+    storageBackend = await openStorageBackend();
+    let source = storageBackend;
+    
+    try {
+        let stored = await storageBackend.load();
+        if (stored === null && storageBackend.name !== 'localStorage' && localStorage.getItem(STORAGE_KEY) !== null) {
+            source = createLocalStorageBackend();
+            stored = await source.load();
+        }
+        if (stored === null) {
+            return false;
+        }
+        
+        const result = readBookmarkData(stored.data);
+        bookmarks = result.items;
+        
+        if (source !== storageBackend) {
+            await migrateFromLocalStorage();
+        } else {
+            rememberSynced(stored, result);
+        }
+        
+        if (result.fixes.length > 0) {
+            console.warn('Repaired stored bookmarks:', result.fixes);
+            saveBookmarks();
+            showReport('Bookmarks repaired', 'Problems were found in the stored bookmarks and fixed:', result.fixes);
         }
+    } catch (e) {
+        console.error(`Error loading bookmarks from ${source.name}:`, e);
+        // Keep a copy of the unreadable data so later saves cannot lose it
+        const copyLocation = await source.keepUnreadable();
+        showReport('Bookmarks could not be loaded',
+            `The stored bookmarks are damaged beyond repair and were not loaded. ${copyLocation} Import a backup to restore your bookmarks.`,
+            [e.message]);
     }
+    return true;
 }
 
-// Save bookmarks to localStorage
-function saveBookmarks() {
+// Write bookmarks read from localStorage to IndexedDB, then remove the localStorage copy
+// If IndexedDB cannot take them, keep using localStorage
+async function migrateFromLocalStorage() {
     try {
-        const data = JSON.stringify(bookmarks, null, 2);
-        localStorage.setItem(STORAGE_KEY, data);
+        await writeBookmarks();
+        localStorage.removeItem(STORAGE_KEY);
     } catch (e) {
-        console.error('Error saving bookmarks to localStorage:', e);
-        alert('Error saving bookmarks. Storage may be full.');
+        console.error('Error moving bookmarks to IndexedDB, staying on localStorage:', e);
+        storageBackend = createLocalStorageBackend();
+        const stored = await storageBackend.load();
+        rememberSynced(stored, readBookmarkData(stored.data));
     }
 }
 
-// Load settings from localStorage
-function loadSettings() {
-    const stored = localStorage.getItem(SETTINGS_KEY);
-    if (stored) {
+// Save bookmarks in the background; returns a promise that settles once they are written
+// Saves requested while one is waiting are combined, and writes happen one at a time in order
+// (the first only once the storage is open, so changes made while the page starts up are not lost)
+function saveBookmarks() {
+    if (saveQueued) {
+        return saveChain;
+    }
+    
+    saveQueued = true;
+    saveChain = saveChain.then(async () => {
+        saveQueued = false;
         try {
-            return JSON.parse(stored);
+            await writeBookmarks();
         } catch (e) {
-            console.error('Error loading settings from localStorage:', e);
+            console.error(`Error saving bookmarks to ${storageBackend.name}:`, e);
+            alert('Error saving bookmarks. Storage may be full.');
         }
-    }
-    return { ...DEFAULT_SETTINGS };
+    });
+    return saveChain;
 }
 
-// Save settings to localStorage
-function saveSettings(settings) {
-    try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-    } catch (e) {
-        console.error('Error saving settings to localStorage:', e);
-        alert('Error saving settings. Storage may be full.');
+// Write what changed since the last sync and tell other tabs
+// If another tab saved in the meantime, its changes are merged in first (see mergeStoredBookmarks)
+async function writeBookmarks() {
+    // A few retries, in case other tabs keep saving while this one merges
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const data = serializeBookmarks();
+        const itemJson = new Map(data.bookmarks.map(item => [item.id, JSON.stringify(item)]));
+        const order = data.bookmarks.map(item => item.id).join('\n');
+        const unchanged = order === syncedOrder && data.bookmarks.every(item => syncedItems.get(item.id) === itemJson.get(item.id));
+        if (unchanged) {
+            return;
+        }
+        
+        try {
+            const revision = await storageBackend.save(data, { revision: syncedRevision, items: syncedItems, order: syncedOrder });
+            syncedItems = itemJson;
+            syncedOrder = order;
+            syncedRevision = revision;
+            broadcastSave(revision);
+            return;
+        } catch (e) {
+            if (e.name !== 'SyncConflictError') {
+                throw e;
+            }
+            mergeStoredBookmarks(await storageBackend.load());
+            refreshAfterSync();
+        }
     }
+    throw new Error('The bookmarks kept changing in another tab');
 }
 
-// Apply settings to the page
-function applySettings() {
-    const settings = loadSettings();
-    const root = document.documentElement;
-    root.style.setProperty('--bookmark-font-size', `${settings.fontSize}px`);
-    root.style.setProperty('--bookmark-item-gap', `${settings.itemGap}px`);
+// Items of stored data, in either the current format or a legacy bare array
+function getStoredItems(data) {
+    return Array.isArray(data) ? data : (data.bookmarks || []);
 }
 
-// Export bookmarks to file (download)
-function exportBookmarks() {
+// Remember loaded bookmarks ({ items, fixes } read from stored) as the state this tab is in sync with
+// Items that needed repairs are remembered as stored, so the next save writes the repaired versions
+function rememberSynced(stored, result) {
+    const items = result.fixes.length > 0 ? getStoredItems(stored.data) : result.items;
+    syncedItems = new Map(items.map(item => [item.id, JSON.stringify(item)]));
+    syncedOrder = items.map(item => item.id).join('\n');
+    syncedRevision = stored.revision;
+}
+
+// Error thrown by a backend when another tab saved since this tab last synced
+function createSyncConflictError() {
+    const error = new Error('The bookmarks were changed in another tab');
+    error.name = 'SyncConflictError';
+    return error;
+}
+
+// Pick the storage backend: IndexedDB where available, otherwise localStorage
+// Backends share one interface:
+//   name                  label for messages
+//   load()                resolves with { data, revision } where data is { schemaVersion, bookmarks } (or a legacy array), or null if empty
+//   save(data, synced)    writes the items that differ from synced ({ revision, items, order }, the last synced state)
+//                         and resolves with the new revision; rejects with a SyncConflictError if the stored revision is not synced.revision
+//   keepUnreadable()      keeps a copy of data that could not be loaded; resolves with a sentence saying where
+//   loadSnapshots()       resolves with every snapshot ({ id, time, reason, data }), oldest first
+//   saveSnapshot(s)       stores a snapshot
+//   deleteSnapshots(ids)  removes snapshots
+async function openStorageBackend() {
+    const db = await openBookmarkDatabase();
+    return db ? createIndexedDbBackend(db) : createLocalStorageBackend();
+}
+
+// Storage in a single localStorage key (the original format, kept as a fallback)
+// The revision lives in its own key so checking it does not mean parsing every bookmark
+function createLocalStorageBackend() {
+    const revisionKey = `${STORAGE_KEY}Revision`;
+    const readRevision = () => parseInt(localStorage.getItem(revisionKey), 10) || 0;
+    
+    return {
+        name: 'localStorage',
+        
+        async load() {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === null ? null : { data: JSON.parse(stored), revision: readRevision() };
+        },
+        
+        async save(data, synced) {
+            if (readRevision() !== synced.revision) {
+                throw createSyncConflictError();
+            }
+            const json = JSON.stringify(data, null, 2);
+            try {
+                localStorage.setItem(STORAGE_KEY, json);
+            } catch (e) {
+                // Snapshots share the quota; the bookmarks themselves come first
+                if (localStorage.getItem(SNAPSHOT_STORAGE_KEY) === null) {
+                    throw e;
+                }
+                localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+                localStorage.setItem(STORAGE_KEY, json);
+            }
+            localStorage.setItem(revisionKey, String(synced.revision + 1));
+            return synced.revision + 1;
+        },
+        
+        async keepUnreadable() {
+            try {
+                localStorage.setItem(UNREADABLE_STORAGE_KEY, localStorage.getItem(STORAGE_KEY));
+                return `A copy was kept in localStorage under "${UNREADABLE_STORAGE_KEY}".`;
+            } catch (e) {
+                console.error('Error keeping a copy of unreadable bookmarks:', e);
+                return 'A copy could not be kept.';
+            }
+        },
+        
+        async loadSnapshots() {
+            const stored = localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        },
+        
+        async saveSnapshot(snapshot) {
+            const snapshots = (await this.loadSnapshots()).concat([snapshot]);
+            // localStorage is small and shared with the bookmarks: snapshots may take no more room than
+            // the bookmarks do, so the oldest are dropped before writing rather than when the quota runs out
+            const budget = (localStorage.getItem(STORAGE_KEY) || '').length;
+            while (snapshots.length > 1 && JSON.stringify(snapshots).length > budget) {
+                snapshots.shift();
+            }
+            while (true) {
+                try {
+                    localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshots));
+                    return;
+                } catch (e) {
+                    if (snapshots.length === 1) {
+                        throw e;
+                    }
+                    snapshots.shift();
+                }
+            }
+        },
+        
+        async deleteSnapshots(ids) {
+            const snapshots = (await this.loadSnapshots()).filter(snapshot => !ids.includes(snapshot.id));
+            localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshots));
+        }
+    };
+}
+
+// Storage in IndexedDB with one record per item; each save writes only the items that changed,
+// in a single transaction, so a failed save leaves the previous state intact
+function createIndexedDbBackend(db) {
+    let loadedData = null; // Kept for keepUnreadable
+    
+    return {
+        name: 'IndexedDB',
+        
+        async load() {
+            const transaction = db.transaction([BOOKMARK_ITEMS_STORE, BOOKMARK_META_STORE]);
+            const metaStore = transaction.objectStore(BOOKMARK_META_STORE);
+            const [items, schemaVersion, order, revision] = await Promise.all([
+                requestToPromise(transaction.objectStore(BOOKMARK_ITEMS_STORE).getAll()),
+                requestToPromise(metaStore.get('schemaVersion')),
+                requestToPromise(metaStore.get('order')),
+                requestToPromise(metaStore.get('revision'))
+            ]);
+            
+            if (schemaVersion === undefined) {
+                return null;
+            }
+            
+            // Restore the list order, which breaks ties between items without an order
+            const positions = new Map((order || []).map((id, index) => [id, index]));
+            const position = item => positions.has(item.id) ? positions.get(item.id) : Infinity;
+            items.sort((a, b) => position(a) - position(b));
+            
+            loadedData = { schemaVersion: schemaVersion, bookmarks: items };
+            return { data: loadedData, revision: revision || 0 };
+        },
+        
+        save(data, synced) {
+            const itemJson = new Map(data.bookmarks.map(item => [item.id, JSON.stringify(item)]));
+            const changed = data.bookmarks.filter(item => synced.items.get(item.id) !== itemJson.get(item.id));
+            const removed = Array.from(synced.items.keys()).filter(id => !itemJson.has(id));
+            const orderChanged = data.bookmarks.map(item => item.id).join('\n') !== synced.order;
+            
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction([BOOKMARK_ITEMS_STORE, BOOKMARK_META_STORE], 'readwrite');
+                const itemStore = transaction.objectStore(BOOKMARK_ITEMS_STORE);
+                const metaStore = transaction.objectStore(BOOKMARK_META_STORE);
+                let revision;
+                
+                // Check and bump the revision in the same transaction as the writes
+                const revisionRequest = metaStore.get('revision');
+                revisionRequest.onsuccess = () => {
+                    const storedRevision = revisionRequest.result || 0;
+                    if (storedRevision !== synced.revision) {
+                        reject(createSyncConflictError());
+                        transaction.abort();
+                        return;
+                    }
+                    
+                    revision = storedRevision + 1;
+                    changed.forEach(item => itemStore.put(JSON.parse(itemJson.get(item.id))));
+                    removed.forEach(id => itemStore.delete(id));
+                    metaStore.put(data.schemaVersion, 'schemaVersion');
+                    metaStore.put(revision, 'revision');
+                    if (orderChanged) {
+                        metaStore.put(data.bookmarks.map(item => item.id), 'order');
+                    }
+                };
+                
+                transaction.oncomplete = () => resolve(revision);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+            });
+        },
+        
+        async keepUnreadable() {
+            try {
+                const transaction = db.transaction(BOOKMARK_META_STORE, 'readwrite');
+                transaction.objectStore(BOOKMARK_META_STORE).put(loadedData, 'unreadable');
+                await transactionToPromise(transaction);
+                return `A copy was kept in IndexedDB (database "${BOOKMARK_DB_NAME}", key "unreadable").`;
+            } catch (e) {
+                console.error('Error keeping a copy of unreadable bookmarks:', e);
+                return 'A copy could not be kept.';
+            }
+        },
+        
+        async loadSnapshots() {
+            const transaction = db.transaction(BOOKMARK_SNAPSHOT_STORE);
+            const snapshots = await requestToPromise(transaction.objectStore(BOOKMARK_SNAPSHOT_STORE).getAll());
+            return snapshots.sort((a, b) => a.time - b.time);
+        },
+        
+        async saveSnapshot(snapshot) {
+            const transaction = db.transaction(BOOKMARK_SNAPSHOT_STORE, 'readwrite');
+            transaction.objectStore(BOOKMARK_SNAPSHOT_STORE).put(snapshot);
+            await transactionToPromise(transaction);
+        },
+        
+        async deleteSnapshots(ids) {
+            const transaction = db.transaction(BOOKMARK_SNAPSHOT_STORE, 'readwrite');
+            const store = transaction.objectStore(BOOKMARK_SNAPSHOT_STORE);
+            ids.forEach(id => store.delete(id));
+            await transactionToPromise(transaction);
+        }
+    };
+}
+
+// Listen for saves made in other tabs
+function setupSync() {
+    // Smart folders, the root pane's sort and settings live in localStorage, whose storage event reports changes made in other tabs
+    window.addEventListener('storage', (e) => {
+        if (e.key === SMART_FOLDERS_KEY) {
+            loadSmartFolders();
+            renderNavigation();
+        }
+        if (e.key === ROOT_SORT_KEY) {
+            loadRootSort();
+            renderNavigation();
+        }
+        // A theme being previewed here stays until the settings modal closes
+        if (e.key === SETTINGS_KEY && !themeDraft) {
+            applySettings();
+        }
+    });
+    
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.addEventListener('message', (e) => handleSyncMessage(e.data));
+    } else {
+        window.addEventListener('storage', (e) => {
+            if (e.key === SYNC_STORAGE_KEY && e.newValue) {
+                try {
+                    handleSyncMessage(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.error('Error reading sync message:', error);
+                }
+            }
+        });
+    }
+}
+
+// Tell other tabs that this tab saved a new revision
+function broadcastSave(revision) {
+    const message = { tabId: TAB_ID, revision: revision };
+    if (syncChannel) {
+        syncChannel.postMessage(message);
+        return;
+    }
     try {
-        const data = JSON.stringify(bookmarks, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName;
-        a.style.display = 'none';
-        document.body.appendChild(a);
-        a.click();
-        // Small delay before cleanup to ensure download starts
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 100);
-        showFileStatus('Bookmarks exported successfully', 'success');
+        // The time makes every message a change, so the storage event always fires
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...message, time: Date.now() }));
     } catch (e) {
-        console.error('Error exporting bookmarks:', e);
-        showFileStatus('Error exporting bookmarks', 'error');
+        console.error('Error notifying other tabs:', e);
     }
 }
 
-// Add default bookmarks
-function addDefaultBookmarks() {
-    bookmarks = [
-        { id: '1', name: 'Google', url: 'https://www.google.com', type: 'bookmark', parent: '', accessTime: 0, order: 0 },
-        { id: '2', name: 'GitHub', url: 'https://www.github.com', type: 'bookmark', parent: '', accessTime: 0, order: 1 },
-        { id: '3', name: 'Development', type: 'folder', parent: '', children: [], order: 2 },
-        { id: '4', name: 'Stack Overflow', url: 'https://stackoverflow.com', type: 'bookmark', parent: '3', accessTime: 0, order: 0 },
-        { id: '5', name: 'MDN Web Docs', url: 'https://developer.mozilla.org', type: 'bookmark', parent: '3', accessTime: 0, order: 1 }
-    ];
-    saveBookmarks();
+// Another tab saved: load its changes unless this tab already has them
+function handleSyncMessage(message) {
+    if (!message || message.tabId === TAB_ID || message.revision <= syncedRevision) {
+        return;
+    }
+    syncFromStorage();
 }
 
-// Setup event listeners
-function setupEventListeners() {
-    // Export/Import
-    document.getElementById('exportBtn').addEventListener('click', exportBookmarks);
-    document.getElementById('importBtn').addEventListener('click', () => {
-        document.getElementById('fileInput').click();
+// Merge the stored bookmarks into this tab, after any save this tab still has pending
+function syncFromStorage() {
+    saveChain = saveChain.then(async () => {
+        try {
+            const stored = await storageBackend.load();
+            if (!stored || stored.revision === syncedRevision) {
+                return;
+            }
+            const keepsLocalChanges = mergeStoredBookmarks(stored);
+            refreshAfterSync();
+            if (keepsLocalChanges) {
+                await writeBookmarks();
+            }
+        } catch (e) {
+            console.error('Error loading changes from another tab:', e);
+        }
     });
-    document.getElementById('fileInput').addEventListener('change', handleFileImport);
+    return saveChain;
+}
+
+// Combine bookmarks another tab stored with the changes this tab has not saved yet, item by item
+// An item changed differently on both sides is a conflict, and the user chooses which version wins
+// Returns whether the result still holds changes from this tab that need saving
+function mergeStoredBookmarks(stored) {
+    const theirs = readBookmarkData(stored.data);
+    const theirItems = theirs.items;
+    const theirJson = new Map(theirItems.map(item => [item.id, JSON.stringify(item)]));
+    const myJson = new Map(bookmarks.map(item => [item.id, JSON.stringify(item)]));
+    const ids = theirItems.map(item => item.id)
+        .concat(bookmarks.map(item => item.id).filter(id => !theirJson.has(id)));
     
-    // Search functionality
-    const searchInput = document.getElementById('searchInput');
-    const clearSearchBtn = document.getElementById('clearSearchBtn');
+    const picks = new Map(); // id -> JSON of the version to keep (undefined when deleted)
+    const conflicts = [];
+    let keepsLocalChanges = false;
     
-    searchInput.addEventListener('input', (e) => {
-        searchQuery = e.target.value.trim().toLowerCase();
-        if (searchQuery) {
-            clearSearchBtn.style.display = 'block';
+    ids.forEach(id => {
+        const base = syncedItems.get(id);
+        const mine = myJson.get(id);
+        const theirs = theirJson.get(id);
+        if (mine === base || mine === theirs) {
+            picks.set(id, theirs);
+        } else if (theirs === base) {
+            picks.set(id, mine);
+            keepsLocalChanges = true;
+        } else if (mine && theirs && isUsageOnlyConflict(mine, theirs)) {
+            picks.set(id, JSON.stringify(mergeUsage(JSON.parse(mine), JSON.parse(theirs), base && JSON.parse(base))));
+            keepsLocalChanges = true;
         } else {
-            clearSearchBtn.style.display = 'none';
+            conflicts.push(id);
         }
-        renderNavigation();
     });
     
-    clearSearchBtn.addEventListener('click', () => {
-        searchInput.value = '';
-        searchQuery = '';
-        clearSearchBtn.style.display = 'none';
-        // Restore navigation state when clearing search
-        restoreNavigationState();
-        renderNavigation();
-    });
+    if (conflicts.length > 0) {
+        const names = conflicts.map(id => {
+            const item = JSON.parse(myJson.get(id) || theirJson.get(id));
+            return `"${item.name}"`;
+        });
+        const keepMine = confirm(`${names.length === 1 ? 'This item was' : 'These items were'} changed both here and in another tab:\n${names.join('\n')}\n\nOK keeps the version from this tab, Cancel keeps the other tab's version.`);
+        conflicts.forEach(id => picks.set(id, keepMine ? myJson.get(id) : theirJson.get(id)));
+        keepsLocalChanges = keepsLocalChanges || keepMine;
+    }
     
-    // Management modal
-    document.getElementById('manageBtn').addEventListener('click', () => {
-        document.getElementById('manageModal').classList.add('active');
+    // Merging can leave items whose folder was deleted on the other side; validation moves them to Recovered
+    const merged = ids.map(id => picks.get(id)).filter(json => json !== undefined).map(json => JSON.parse(json));
+    const result = validateBookmarks(merged);
+    if (result.fixes.length > 0) {
+        console.warn('Repaired merged bookmarks:', result.fixes);
+        keepsLocalChanges = true;
+    }
+    
+    bookmarks = result.items;
+    rememberSynced(stored, theirs);
+    return keepsLocalChanges;
+}
+
+// Whether two versions of an item differ only in usage data (such as being opened in both tabs)
+function isUsageOnlyConflict(mineJson, theirsJson) {
+    return JSON.stringify(getTrackedFields(JSON.parse(mineJson))) === JSON.stringify(getTrackedFields(JSON.parse(theirsJson)));
+}
+
+// Combine the usage data of an item used in two tabs: latest access, visits from both
+function mergeUsage(mine, theirs, base) {
+    const merged = { ...theirs, accessTime: Math.max(mine.accessTime || 0, theirs.accessTime || 0) };
+    merged.visits = mergeVisits(getVisits(mine), getVisits(theirs), base ? getVisits(base) : undefined);
+    if (merged.visits.count === 0) {
+        delete merged.visits;
+    }
+    return merged;
+}
+
+// Show bookmarks that changed in another tab
+function refreshAfterSync() {
+    // Items were replaced by new objects; keep the bookmark form pointing at the current version
+    if (editingItem) {
+        editingItem = bookmarks.find(b => b.id === editingItem.id) || editingItem;
+    }
+    
+    // Close folders that no longer exist
+    const liveItems = getLiveItems();
+    const missing = currentPath.findIndex(folder => !liveItems.some(b => b.id === folder.id && b.type === 'folder'));
+    if (missing !== -1) {
+        currentPath = currentPath.slice(0, missing);
+        saveNavigationState();
+    }
+    
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
         renderBookmarkTree();
+    }
+    if (document.getElementById('linkReportModal').classList.contains('active')) {
+        renderLinkReport();
+    }
+    if (document.getElementById('duplicatesModal').classList.contains('active')) {
+        renderDuplicates();
+    }
+    updateFileStatus();
+}
+
+// Open the bookmark database (resolves with null where IndexedDB is unavailable, e.g. some private windows)
+function openBookmarkDatabase() {
+    return new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(BOOKMARK_DB_NAME, 2);
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                if (e.oldVersion < 1) {
+                    db.createObjectStore(BOOKMARK_ITEMS_STORE, { keyPath: 'id' });
+                    db.createObjectStore(BOOKMARK_META_STORE);
+                }
+                if (e.oldVersion < 2) {
+                    db.createObjectStore(BOOKMARK_SNAPSHOT_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the page opened in another tab upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    showFileStatus('This page was updated in another tab. Reload to keep saving changes.', 'error');
+                };
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.error('Error opening bookmark database, using localStorage:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.error('Error opening bookmark database, using localStorage:', e);
+            resolve(null);
+        }
     });
-    
-    document.getElementById('closeModal').addEventListener('click', () => {
-        document.getElementById('manageModal').classList.remove('active');
+}
+
+// Resolve with the result of an IndexedDB request
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
-    
-    // Bookmark modal
-    document.getElementById('addBookmarkBtn').addEventListener('click', () => {
-        openAddBookmarkModal('');
+}
+
+// Resolve once an IndexedDB transaction has committed
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
     });
+}
+
+// Wrap bookmarks in the versioned format used for storage and export
+function serializeBookmarks() {
+    return { schemaVersion: SCHEMA_VERSION, bookmarks: bookmarks };
+}
+
+// Migrate stored or imported data to the current schema, then validate and repair it
+// Returns { items, fixes } or throws if the data cannot be used
+function readBookmarkData(data) {
+    let migrated = data;
+    let version = Array.isArray(data) ? 0 : (data && data.schemaVersion);
     
-    document.getElementById('addFolderBtn').addEventListener('click', () => {
-        openAddFolderModal('');
-    });
+    if (typeof version !== 'number' || (version > 0 && !Array.isArray(data.bookmarks))) {
+        throw new Error('Unrecognized bookmark data format');
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Bookmark data uses schema version ${version}, which is newer than this page supports (${SCHEMA_VERSION})`);
+    }
     
-    document.getElementById('closeBookmarkModal').addEventListener('click', () => {
-        document.getElementById('bookmarkModal').classList.remove('active');
-    });
+    while (version < SCHEMA_VERSION) {
+        migrated = SCHEMA_MIGRATIONS[version](migrated);
+        version = migrated.schemaVersion;
+    }
     
-    document.getElementById('cancelBookmarkBtn').addEventListener('click', () => {
-        document.getElementById('bookmarkModal').classList.remove('active');
-    });
+    return validateBookmarks(migrated.bookmarks);
+}
+
+// Validate a flat bookmark list and repair what can be repaired
+// Returns { items, fixes } where fixes describes every repair; throws if nothing usable is left
+function validateBookmarks(rawItems) {
+    if (!Array.isArray(rawItems)) {
+        throw new Error('Bookmark data is not a list');
+    }
     
-    // Delete button in edit modal
-    document.getElementById('deleteBookmarkBtn').addEventListener('click', () => {
-        if (editingItem) {
-            if (confirm('Are you sure you want to delete this item? This will also delete all its children.')) {
-                const itemId = editingItem.id;
-                document.getElementById('bookmarkModal').classList.remove('active');
-                deleteItem(itemId, true);
-            }
-        }
-    });
+    const fixes = [];
+    const items = [];
+    const usedIds = new Set();
     
-    // Bookmark form submission
-    document.getElementById('bookmarkForm').addEventListener('submit', (e) => {
-        e.preventDefault();
-        saveBookmarkItem();
-    });
+    function describe(item) {
+        return item.name ? `"${item.name}"` : `item ${item.id || '(no id)'}`;
+    }
     
-    // Auto-fetch page title when URL is entered
-    const urlInput = document.getElementById('bookmarkUrl');
-    let titleFetchTimeout = null;
-    urlInput.addEventListener('input', (e) => {
-        const url = e.target.value.trim();
-        const nameInput = document.getElementById('bookmarkName');
+    rawItems.forEach((raw, index) => {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            fixes.push(`Removed entry #${index + 1}: not a bookmark or folder`);
+            return;
+        }
+        const item = { ...raw };
         
-        // Clear previous timeout
-        if (titleFetchTimeout) {
-            clearTimeout(titleFetchTimeout);
+        // Ids must be unique non-empty strings
+        if (typeof item.id === 'number') {
+            item.id = String(item.id);
+        }
+        if (typeof item.id !== 'string' || !item.id) {
+            item.id = generateItemId();
+            fixes.push(`Assigned a missing id to ${describe(item)}`);
+        } else if (usedIds.has(item.id)) {
+            const duplicateId = item.id;
+            item.id = generateItemId();
+            fixes.push(`Assigned a new id to ${describe(item)} (id "${duplicateId}" was used twice)`);
         }
+        usedIds.add(item.id);
         
-        // Only fetch if URL looks valid and name is empty
-        if (url && !nameInput.value.trim() && (url.startsWith('http://') || url.startsWith('https://'))) {
-            // Debounce: wait 500ms after user stops typing
-            titleFetchTimeout = setTimeout(() => {
-                fetchPageTitle(url, nameInput);
-            }, 500);
+        // Infer a missing or unknown type from the presence of a URL
+        if (item.type !== 'bookmark' && item.type !== 'folder') {
+            const inferred = typeof item.url === 'string' && item.url ? 'bookmark' : 'folder';
+            fixes.push(`Set missing type of ${describe(item)} to ${inferred}`);
+            item.type = inferred;
         }
-    });
-    
-    // Settings modal
-    document.getElementById('settingsBtn').addEventListener('click', () => {
-        const settings = loadSettings();
-        document.getElementById('fontSize').value = settings.fontSize;
-        document.getElementById('itemGap').value = settings.itemGap;
-        document.getElementById('settingsModal').classList.add('active');
-    });
-    
-    document.getElementById('closeSettingsModal').addEventListener('click', () => {
-        document.getElementById('settingsModal').classList.remove('active');
-    });
-    
-    document.getElementById('cancelSettingsBtn').addEventListener('click', () => {
-        document.getElementById('settingsModal').classList.remove('active');
-    });
-    
-    document.getElementById('resetSettingsBtn').addEventListener('click', () => {
-        if (confirm('Reset settings to default values?')) {
-            saveSettings(DEFAULT_SETTINGS);
-            applySettings();
-            const settings = loadSettings();
-            document.getElementById('fontSize').value = settings.fontSize;
-            document.getElementById('itemGap').value = settings.itemGap;
+        
+        if (typeof item.name !== 'string' || !item.name.trim()) {
+            item.name = item.type === 'bookmark' && typeof item.url === 'string' && item.url ? item.url : 'Untitled';
+            fixes.push(`Named an unnamed ${item.type} "${item.name}"`);
         }
-    });
-    
-    // Settings form submission
-    document.getElementById('settingsForm').addEventListener('submit', (e) => {
-        e.preventDefault();
-        const fontSize = parseInt(document.getElementById('fontSize').value);
-        const itemGap = parseInt(document.getElementById('itemGap').value);
         
-        if (fontSize < 10 || fontSize > 24) {
-            alert('Font size must be between 10 and 24 pixels');
-            return;
+        if (item.type === 'bookmark' && (typeof item.url !== 'string' || !item.url.trim())) {
+            // A "bookmark" that other items live in is really a folder
+            if (rawItems.some(other => other && other.parent !== undefined && String(other.parent) === item.id)) {
+                item.type = 'folder';
+                delete item.url;
+                fixes.push(`Turned ${describe(item)} into a folder (it had no URL but contains items)`);
+            } else {
+                fixes.push(`Removed bookmark ${describe(item)}: it has no URL`);
+                return;
+            }
         }
         
-        if (itemGap < 0 || itemGap > 20) {
-            alert('Item gap must be between 0 and 20 pixels');
-            return;
+        // Normalize parent references to strings ('' is the root)
+        if (item.parent === undefined || item.parent === null) {
+            item.parent = '';
+        } else if (typeof item.parent !== 'string') {
+            item.parent = String(item.parent);
         }
         
-        const settings = {
-            fontSize: fontSize,
-            itemGap: itemGap
-        };
+        if (item.tags !== undefined) {
+            const tags = Array.isArray(item.tags) ? normalizeTags(item.tags.filter(tag => typeof tag === 'string')) : [];
+            if (!Array.isArray(item.tags) || tags.length !== item.tags.length) {
+                fixes.push(`Cleaned up the tags of ${describe(item)}`);
+            }
+            if (tags.length > 0) {
+                item.tags = tags;
+            } else {
+                delete item.tags;
+            }
+        }
         
-        saveSettings(settings);
-        applySettings();
-        document.getElementById('settingsModal').classList.remove('active');
+        if (item.notes !== undefined && (typeof item.notes !== 'string' || !item.notes.trim())) {
+            if (typeof item.notes !== 'string') {
+                fixes.push(`Removed unreadable notes from ${describe(item)}`);
+            }
+            delete item.notes;
+        }
+        
+        if (item.visits !== undefined) {
+            const visits = item.visits;
+            const valid = visits && typeof visits === 'object' && typeof visits.count === 'number' && visits.count >= 0 &&
+                Array.isArray(visits.recent) && visits.recent.every(time => typeof time === 'number');
+            if (!valid) {
+                fixes.push(`Removed the unreadable visit log of ${describe(item)}`);
+                delete item.visits;
+            } else if (visits.recent.length > MAX_RECENT_VISITS) {
+                item.visits = { count: visits.count, recent: visits.recent.slice(0, MAX_RECENT_VISITS) };
+            }
+        }
+        
+        if (item.trashedAt !== undefined && (typeof item.trashedAt !== 'number' || item.trashedAt <= 0)) {
+            fixes.push(`Took ${describe(item)} out of the trash (its deletion time was unreadable)`);
+            delete item.trashedAt;
+        }
+        
+        if (item.sort !== undefined) {
+            const sort = normalizeFolderSort(item.sort);
+            if (item.type !== 'folder' || !SORT_MODES[item.sort && item.sort.mode]) {
+                fixes.push(`Removed an unreadable sort order from ${describe(item)}`);
+                delete item.sort;
+            } else if (isDefaultFolderSort(sort)) {
+                delete item.sort;
+            } else {
+                item.sort = sort;
+            }
+        }
+        
+        if (item.health !== undefined && (!item.health || typeof item.health !== 'object' ||
+                !['ok', 'redirected', 'broken'].includes(item.health.status))) {
+            fixes.push(`Removed unreadable link status from ${describe(item)}`);
+            delete item.health;
+        }
+        
+        // Backward compatibility: fill in fields older versions did not store
+        if (typeof item.accessTime !== 'number') {
+            item.accessTime = 0;
+        }
+        if (typeof item.order !== 'number') {
+            item.order = index;
+        }
+        
+        items.push(item);
     });
     
-    // Close modals on outside click
-    window.addEventListener('click', (e) => {
-        const manageModal = document.getElementById('manageModal');
-        const bookmarkModal = document.getElementById('bookmarkModal');
-        const settingsModal = document.getElementById('settingsModal');
-        if (e.target === manageModal) {
-            manageModal.classList.remove('active');
+    if (items.length === 0 && rawItems.length > 0) {
+        throw new Error('No valid bookmarks or folders found');
+    }
+    
+    // Orphans and broken chains go to a "Recovered" folder at the root
+    let recoveredFolder = null;
+    function getRecoveredFolderId() {
+        if (!recoveredFolder) {
+            recoveredFolder = items.find(item => item.type === 'folder' && item.parent === '' && item.name === RECOVERED_FOLDER_NAME);
         }
-        if (e.target === bookmarkModal) {
-            bookmarkModal.classList.remove('active');
+        if (!recoveredFolder) {
+            recoveredFolder = {
+                id: generateItemId(),
+                name: RECOVERED_FOLDER_NAME,
+                type: 'folder',
+                parent: '',
+                accessTime: 0,
+                order: items.filter(item => item.parent === '').length
+            };
+            items.push(recoveredFolder);
+            itemsById.set(recoveredFolder.id, recoveredFolder);
         }
-        if (e.target === settingsModal) {
-            settingsModal.classList.remove('active');
+        return recoveredFolder.id;
+    }
+    
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    items.forEach(item => {
+        if (!item.parent) return;
+        const parent = itemsById.get(item.parent);
+        if (!parent) {
+            fixes.push(`Moved ${describe(item)} to "${RECOVERED_FOLDER_NAME}" (its parent folder is missing)`);
+            item.parent = getRecoveredFolderId();
+        } else if (parent.type !== 'folder') {
+            fixes.push(`Moved ${describe(item)} to "${RECOVERED_FOLDER_NAME}" (its parent is a bookmark, not a folder)`);
+            item.parent = getRecoveredFolderId();
+        }
+    });
+    
+    // Break parent cycles: an item that is its own ancestor is moved out of the loop
+    items.forEach(item => {
+        const seen = new Set([item.id]);
+        let current = item;
+        while (current && current.parent) {
+            if (current.parent === item.id) {
+                fixes.push(`Moved ${describe(item)} to "${RECOVERED_FOLDER_NAME}" (it was inside itself)`);
+                item.parent = getRecoveredFolderId();
+                break;
+            }
+            // Reached a loop that does not include this item; that loop is broken when its own members are visited
+            if (seen.has(current.parent)) break;
+            seen.add(current.parent);
+            current = itemsById.get(current.parent);
         }
     });
+    
+    return { items: items, fixes: fixes };
 }
 
-// Maximum number of navigation levels supported
-const MAX_LEVELS = 10;
+// Show a list of messages in the report modal
+function showReport(title, intro, lines) {
+    document.getElementById('reportModalTitle').textContent = title;
+    document.getElementById('reportIntro').textContent = intro;
+    const list = document.getElementById('reportList');
+    list.innerHTML = '';
+    lines.forEach(line => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        list.appendChild(li);
+    });
+    document.getElementById('reportModal').classList.add('active');
+}
 
-// Render navigation panes
-function renderNavigation() {
-    // Clear all panes
-    for (let i = 1; i <= MAX_LEVELS; i++) {
-        const list = document.getElementById(`list${i}`);
-        const pane = document.getElementById(`pane${i}`);
-        if (list && pane) {
-            list.innerHTML = '';
-            pane.style.display = 'none';
-            pane.classList.remove('active');
+// Load settings from localStorage
+function loadSettings() {
+    const stored = localStorage.getItem(SETTINGS_KEY);
+    if (stored) {
+        try {
+            // Settings saved by older versions lack newer fields
+            const settings = { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+            settings.palettes = Array.isArray(settings.palettes) ? settings.palettes.map(validatePalette).filter(Boolean) : [];
+            if (!BUILT_IN_THEMES[settings.theme] && !settings.palettes.some(p => p.id === settings.theme)) {
+                settings.theme = DEFAULT_SETTINGS.theme;
+            }
+            return settings;
+        } catch (e) {
+            console.error('Error loading settings from localStorage:', e);
         }
     }
-    
-    // If searching, show search results
-    if (searchQuery) {
-        const searchResults = searchBookmarks(searchQuery);
-        renderList(1, searchResults, `Search Results (${searchResults.length})`);
-        const pane1 = document.getElementById('pane1');
-        if (pane1) {
-            pane1.style.display = 'block';
-            pane1.classList.add('active');
+    return { ...DEFAULT_SETTINGS };
+}
+
+// Save settings to localStorage
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Error saving settings to localStorage:', e);
+        alert('Error saving settings. Storage may be full.');
+    }
+}
+
+// Apply settings to the page
+function applySettings() {
+    const settings = loadSettings();
+    const root = document.documentElement;
+    root.style.setProperty('--bookmark-font-size', `${settings.fontSize}px`);
+    root.style.setProperty('--bookmark-item-gap', `${settings.itemGap}px`);
+    applyTheme(settings.theme, settings.palettes);
+}
+
+// Whether the system asks for dark colours
+function prefersDarkScheme() {
+    return !!window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
+// Find the palette a theme setting shows; built-in themes have no colours of their own
+function resolveTheme(theme, palettes) {
+    const palette = palettes.find(p => p.id === theme);
+    if (palette) {
+        return palette;
+    }
+    if (theme === 'auto') {
+        return { base: prefersDarkScheme() ? 'dark' : 'light', colors: {} };
+    }
+    return { base: theme === 'dark' ? 'dark' : 'light', colors: {} };
+}
+
+// Show a theme: data-theme picks the base colours, a custom palette overrides some of them
+function applyTheme(theme, palettes) {
+    const root = document.documentElement;
+    const palette = resolveTheme(theme, palettes);
+    root.dataset.theme = palette.base;
+    THEME_COLORS.forEach(color => {
+        if (palette.colors[color.key]) {
+            root.style.setProperty(color.variable, palette.colors[color.key]);
+        } else {
+            root.style.removeProperty(color.variable);
         }
-    } else {
-        // Restore navigation path if available
-        if (currentPath.length > 0) {
-            restoreNavigationPath();
+    });
+}
+
+// Re-apply the auto theme when the system switches between light and dark
+function watchColorScheme() {
+    if (!window.matchMedia) return;
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+        if (themeDraft) {
+            applyTheme(themeDraft.theme, themeDraft.palettes);
         } else {
-            // Show first pane with root items
-            const rootItems = getItemsByParent('');
-            renderList(1, rootItems, 'Bookmarks');
-            const pane1 = document.getElementById('pane1');
-            if (pane1) {
-                pane1.style.display = 'block';
-                pane1.classList.add('active');
-            }
+            applySettings();
         }
+    });
+}
+
+// Read the colours currently shown, for starting or exporting a palette
+function getShownThemeColors() {
+    const style = getComputedStyle(document.documentElement);
+    const colors = {};
+    THEME_COLORS.forEach(color => {
+        colors[color.key] = style.getPropertyValue(color.variable).trim();
+    });
+    return colors;
+}
+
+// Check a palette from settings or an imported file; returns a clean copy, or null if it is unusable
+function validatePalette(palette) {
+    if (!palette || typeof palette !== 'object' || typeof palette.name !== 'string' || !palette.name.trim() ||
+        !palette.colors || typeof palette.colors !== 'object') {
+        return null;
     }
+    const colors = {};
+    THEME_COLORS.forEach(color => {
+        const value = palette.colors[color.key];
+        if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+            colors[color.key] = value.toLowerCase();
+        }
+    });
+    return {
+        id: typeof palette.id === 'string' && palette.id ? palette.id : generateItemId(),
+        name: palette.name.trim(),
+        base: palette.base === 'dark' ? 'dark' : 'light',
+        colors: colors
+    };
 }
 
-// Restore navigation path from currentPath
-function restoreNavigationPath() {
-    // Show root pane first
-    const rootItems = getItemsByParent('');
-    renderList(1, rootItems, 'Bookmarks');
-    const pane1 = document.getElementById('pane1');
-    if (pane1) {
-        pane1.style.display = 'block';
-        pane1.classList.add('active');
+// Copy an item without the fields that undo/redo does not track
+function getTrackedFields(item) {
+    const tracked = { ...item };
+    UNTRACKED_FIELDS.forEach(field => {
+        delete tracked[field];
+    });
+    return tracked;
+}
+
+// Apply a mutation to bookmarks and record it as one undoable step
+// Returns true if anything actually changed
+function commitChange(label, mutate) {
+    const before = new Map(bookmarks.map(item => [item.id, {
+        item: JSON.parse(JSON.stringify(item)),
+        tracked: JSON.stringify(getTrackedFields(item))
+    }]));
+    
+    mutate();
+    
+    // Diff item by item so the history only stores what was touched
+    const changes = [];
+    const seen = new Set();
+    bookmarks.forEach(item => {
+        seen.add(item.id);
+        const previous = before.get(item.id);
+        if (!previous || previous.tracked !== JSON.stringify(getTrackedFields(item))) {
+            changes.push({
+                id: item.id,
+                before: previous ? previous.item : null,
+                after: JSON.parse(JSON.stringify(item))
+            });
+        }
+    });
+    before.forEach((previous, id) => {
+        if (!seen.has(id)) {
+            changes.push({ id: id, before: previous.item, after: null });
+        }
+    });
+    
+    if (changes.length === 0) {
+        return false;
     }
     
-    // Navigate through the path
-    currentPath.forEach((folder, index) => {
-        const level = index + 2;
-        if (level > MAX_LEVELS) return;
+    undoStack.push({ label: label, time: Date.now(), changes: changes });
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    
+    saveBookmarks();
+    saveHistory();
+    updateHistoryButtons();
+    return true;
+}
+
+// Write one side (before or after) of recorded changes back into bookmarks
+function applyHistoryChanges(changes, useAfter) {
+    changes.forEach(change => {
+        const target = useAfter ? change.after : change.before;
+        const index = bookmarks.findIndex(b => b.id === change.id);
         
-        const pane = document.getElementById(`pane${level}`);
-        if (!pane) return;
+        if (!target) {
+            if (index !== -1) {
+                bookmarks.splice(index, 1);
+            }
+            return;
+        }
         
-        const children = getItemsByParent(folder.id);
-        pane.dataset.currentFolderId = folder.id;
-        renderList(level, children, folder.name);
-        pane.style.display = 'block';
-        pane.classList.add('active');
+        if (index === -1) {
+            bookmarks.push(JSON.parse(JSON.stringify(target)));
+            return;
+        }
         
-        // Remove active from previous pane
-        if (index > 0) {
-            const prevPane = document.getElementById(`pane${level - 1}`);
-            if (prevPane) {
-                prevPane.classList.remove('active');
+        // Update in place, keeping the item's current usage data
+        const existing = bookmarks[index];
+        Object.keys(existing).forEach(key => {
+            if (!UNTRACKED_FIELDS.includes(key)) {
+                delete existing[key];
             }
-        }
+        });
+        Object.assign(existing, JSON.parse(JSON.stringify(getTrackedFields(target))));
     });
 }
 
-// Search bookmarks by name
-function searchBookmarks(query) {
-    if (!query) return [];
-    
-    const lowerQuery = query.toLowerCase();
-    const results = bookmarks.filter(item => {
-        return item.name.toLowerCase().includes(lowerQuery);
+// Usage fields (access time and visits) of an item, copied, for steps that fold usage together
+function getUsageFields(item) {
+    return JSON.parse(JSON.stringify({ accessTime: item.accessTime, visits: item.visits }));
+}
+
+// Write one side of the usage a step folded together (see mergeDuplicates) back into bookmarks
+function applyHistoryUsage(usage, useAfter) {
+    usage.forEach(change => {
+        const item = bookmarks.find(b => b.id === change.id);
+        const target = useAfter ? change.after : change.before;
+        if (!item) return;
+        ['accessTime', 'visits'].forEach(field => {
+            if (target[field] !== undefined) {
+                item[field] = JSON.parse(JSON.stringify(target[field]));
+            } else {
+                delete item[field];
+            }
+        });
     });
+}
+
+// Undo the most recent change
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
     
-    // Sort by access time (most recent first), then by name
-    return results.sort((a, b) => {
-        const aTime = a.accessTime || 0;
-        const bTime = b.accessTime || 0;
-        if (bTime !== aTime) {
-            return bTime - aTime; // Most recent first
-        }
-        // If same access time (or both 0), sort alphabetically
-        return a.name.localeCompare(b.name);
-    });
+    // Reverse order so dependent changes unwind correctly
+    applyHistoryChanges(entry.changes.slice().reverse(), false);
+    if (entry.usage) {
+        applyHistoryUsage(entry.usage, false);
+    }
+    if (entry.rootSort) {
+        saveRootSort(entry.rootSort.before);
+    }
+    redoStack.push(entry);
+    refreshAfterHistoryChange();
+    showFileStatus(`Undid: ${entry.label}`, 'success');
 }
 
-// Record bookmark access time
-function recordBookmarkAccess(bookmarkId) {
-    const bookmark = bookmarks.find(b => b.id === bookmarkId);
-    if (bookmark) {
-        bookmark.accessTime = Date.now();
-        saveBookmarks();
-        // Re-render to update emoji icon
-        renderNavigation();
+// Redo the most recently undone change
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    
+    applyHistoryChanges(entry.changes, true);
+    if (entry.usage) {
+        applyHistoryUsage(entry.usage, true);
     }
+    if (entry.rootSort) {
+        saveRootSort(entry.rootSort.after);
+    }
+    undoStack.push(entry);
+    refreshAfterHistoryChange();
+    showFileStatus(`Redid: ${entry.label}`, 'success');
 }
 
-// Get emoji icon based on access time
-function getBookmarkIcon(accessTime) {
-    if (!accessTime || accessTime === 0) {
-        return '🔗'; // Never accessed
+// Persist and re-render after an undo or redo
+function refreshAfterHistoryChange() {
+    saveBookmarks();
+    saveHistory();
+    updateHistoryButtons();
+    
+    // Drop folders from the open path that no longer exist
+    const liveItems = getLiveItems();
+    const missingIndex = currentPath.findIndex(folder => !liveItems.some(b => b.id === folder.id && b.type === 'folder'));
+    if (missingIndex !== -1) {
+        currentPath = currentPath.slice(0, missingIndex);
     }
+    saveNavigationState();
+    renderNavigation();
     
-    const now = Date.now();
-    const timeDiff = now - accessTime;
-    const oneHour = 60 * 60 * 1000;
-    const oneDay = 24 * oneHour;
-    const oneWeek = 7 * oneDay;
-    const oneMonth = 30 * oneDay;
-    
-    if (timeDiff < oneHour) {
-        return '🔥'; // Very recent (last hour)
-    } else if (timeDiff < oneDay) {
-        return '⭐'; // Recent (last day)
-    } else if (timeDiff < oneWeek) {
-        return '✨'; // This week
-    } else if (timeDiff < oneMonth) {
-        return '📌'; // This month
-    } else {
-        return '🔗'; // Older than a month
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
     }
 }
 
-// Get items by parent, sorted by order
-function getItemsByParent(parentId) {
-    const items = bookmarks.filter(item => item.parent === parentId);
-    // Sort by order field (if exists), then by creation/access time
-    return items.sort((a, b) => {
-        const aOrder = a.order !== undefined ? a.order : Infinity;
-        const bOrder = b.order !== undefined ? b.order : Infinity;
-        if (aOrder !== bOrder) {
-            return aOrder - bOrder;
+// Forget all undo/redo steps (e.g. after the whole tree is replaced)
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    saveHistory();
+    updateHistoryButtons();
+}
+
+// Load this tab's undo/redo history from sessionStorage
+function loadHistory() {
+    // Older versions shared one history between tabs in localStorage
+    localStorage.removeItem(HISTORY_KEY);
+    
+    const stored = sessionStorage.getItem(HISTORY_KEY);
+    if (stored) {
+        try {
+            const history = JSON.parse(stored);
+            undoStack = Array.isArray(history.undo) ? history.undo : [];
+            redoStack = Array.isArray(history.redo) ? history.redo : [];
+        } catch (e) {
+            console.error('Error loading history from sessionStorage:', e);
         }
-        // If same order, maintain original order (by index in array)
-        return bookmarks.indexOf(a) - bookmarks.indexOf(b);
-    });
+    }
 }
 
-// Render a list in a pane
-function renderList(level, items, title) {
-    let list = document.getElementById(`list${level}`);
-    const pane = document.getElementById(`pane${level}`);
-    if (!list || !pane) {
-        console.error(`Cannot find list or pane for level ${level}`);
-        return;
+// Save this tab's undo/redo history to sessionStorage
+function saveHistory() {
+    // History is a convenience: if storage is tight, drop the oldest steps rather than failing
+    while (true) {
+        try {
+            sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+            return;
+        } catch (e) {
+            if (undoStack.length === 0 && redoStack.length === 0) {
+                console.error('Error saving history to sessionStorage:', e);
+                return;
+            }
+            if (undoStack.length > 0) {
+                undoStack.splice(0, Math.ceil(undoStack.length / 2));
+            } else {
+                redoStack.splice(0, Math.ceil(redoStack.length / 2));
+            }
+        }
     }
+}
+
+// Enable/disable the undo and redo toolbar buttons
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
     
-    const paneTitle = pane.querySelector('h2');
-    paneTitle.textContent = title || 'Bookmarks';
-    
-    // Get the parent ID for this level (needed for drop zone)
-    const listParentId = getCurrentParentId(level);
-    
-    // Clear the list content first
-    list.innerHTML = '';
-    
-    // Setup drop zone after clearing (returns the actual list element, might be a new one)
-    list = setupListDropZone(list, level, listParentId);
-    
-    if (!list) {
-        return;
+    undoBtn.disabled = !lastUndo;
+    undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.disabled = !lastRedo;
+    redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Export bookmarks to file (download)
+function exportBookmarks() {
+    try {
+        const data = JSON.stringify(serializeBookmarks(), null, 2);
+        downloadFile(data, fileName, 'application/json');
+        showFileStatus('Bookmarks exported successfully', 'success');
+    } catch (e) {
+        console.error('Error exporting bookmarks:', e);
+        showFileStatus('Error exporting bookmarks', 'error');
     }
+}
+
+// Export bookmarks as a Netscape bookmark HTML file (readable by Chrome, Firefox and Edge)
+function exportBookmarksHtml() {
+    try {
+        const data = buildNetscapeBookmarksHtml();
+        downloadFile(data, fileName.replace(/\.json$/i, '') + '.html', 'text/html');
+        showFileStatus('Bookmarks exported successfully as HTML', 'success');
+    } catch (e) {
+        console.error('Error exporting bookmarks:', e);
+        showFileStatus('Error exporting bookmarks', 'error');
+    }
+}
+
+// Build the Netscape bookmark file format (the same format parseChromeBookmarks reads)
+function buildNetscapeBookmarksHtml() {
+    const lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
     
-    if (items.length === 0) {
-        const emptyLi = document.createElement('li');
-        emptyLi.className = 'drop-zone-empty';
-        if (searchQuery) {
-            emptyLi.textContent = `No bookmarks found matching "${searchQuery}"`;
-        } else {
-            emptyLi.textContent = 'No items (drop here to add)';
-            emptyLi.dataset.parent = listParentId;
-            setupDropZone(emptyLi, level);
-        }
-        emptyLi.style.padding = '20px';
-        emptyLi.style.color = '#999';
-        emptyLi.style.textAlign = 'center';
-        list.appendChild(emptyLi);
-        return;
+    // Netscape timestamps are in seconds; 0 means unknown and is left out
+    function timestampAttribute(name, time) {
+        return time ? ` ${name}="${Math.floor(time / 1000)}"` : '';
     }
     
-    // Render all items
-    items.forEach((item, index) => {
-        const li = document.createElement('li');
-        li.className = `bookmark-item ${item.type}`;
-        li.dataset.id = item.id;
-        // Disable drag and drop when searching
-        li.draggable = !searchQuery;
-        
-        if (item.type === 'folder') {
-            // Highlight search query in name if searching
-            let displayName = item.name;
-            if (searchQuery && searchQuery.length > 0) {
-                const regex = new RegExp(`(${searchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-                displayName = item.name.replace(regex, '<mark>$1</mark>');
-            }
-            
-            li.innerHTML = `
-                <span class="drag-handle">☰</span>
-                <span class="folder-icon">📁</span>
-                <span class="item-content">${displayName}</span>
-                <div class="actions">
-                    <button class="edit-icon-btn" onclick="editItem('${item.id}')" title="Edit">✏️</button>
-                </div>
-            `;
-            // Only allow folder navigation if not searching
-            if (!searchQuery) {
-                li.addEventListener('click', (e) => {
-                    if (!e.target.closest('.actions') && !e.target.closest('.drag-handle')) {
-                        navigateToFolder(item, level);
-                    }
-                });
-            }
-        } else {
-            // Use emoji icon for bookmarks based on access time
-            // Highlight search query in name if searching
-            let displayName = item.name;
-            if (searchQuery && searchQuery.length > 0) {
-                const regex = new RegExp(`(${searchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-                displayName = item.name.replace(regex, '<mark>$1</mark>');
-            }
-            
-            const bookmarkIcon = getBookmarkIcon(item.accessTime);
-            
-            li.innerHTML = `
-                <span class="drag-handle">☰</span>
-                <span class="bookmark-icon">${bookmarkIcon}</span>
-                <a href="${item.url}" target="_blank" data-bookmark-id="${item.id}">
-                    <span>${displayName}</span>
-                </a>
-                <div class="actions">
-                    <button class="edit-icon-btn" onclick="event.stopPropagation(); editItem('${item.id}')" title="Edit">✏️</button>
-                </div>
-            `;
-            
-            // Track access time when bookmark is clicked
-            const bookmarkLink = li.querySelector('a[data-bookmark-id]');
-            if (bookmarkLink) {
-                bookmarkLink.addEventListener('click', () => {
-                    recordBookmarkAccess(item.id);
-                });
+    function writeItems(parentId, indent) {
+        getItemsByParent(parentId).forEach(item => {
+            const name = escapeHtml(item.name || '');
+            if (item.type === 'folder') {
+                lines.push(`${indent}<DT><H3${timestampAttribute('ADD_DATE', item.dateAdded)}>${name}</H3>`);
+                if (item.notes) {
+                    lines.push(`${indent}<DD>${escapeHtml(item.notes)}`);
+                }
+                lines.push(`${indent}<DL><p>`);
+                writeItems(item.id, indent + '    ');
+                lines.push(`${indent}</DL><p>`);
+            } else {
+                const attributes = `HREF="${escapeHtml(item.url || '')}"` +
+                    timestampAttribute('ADD_DATE', item.dateAdded) +
+                    timestampAttribute('LAST_VISIT', item.accessTime) +
+                    (item.tags && item.tags.length > 0 ? ` TAGS="${escapeHtml(item.tags.join(','))}"` : '');
+                lines.push(`${indent}<DT><A ${attributes}>${name}</A>`);
+                if (item.notes) {
+                    lines.push(`${indent}<DD>${escapeHtml(item.notes)}`);
+                }
             }
-        }
-        
-        setupDragAndDrop(li, item, level);
-        list.appendChild(li);
-    });
-    
-    // Add "+" button at the bottom of the list (only when not searching)
-    if (!searchQuery) {
-        const addButtonLi = document.createElement('li');
-        addButtonLi.className = 'add-bookmark-button-container';
-        addButtonLi.innerHTML = `
-            <button class="add-bookmark-btn" data-level="${level}" data-parent-id="${listParentId}" title="Add bookmark to this folder">
-                <span class="add-icon">➕</span>
-            </button>
-        `;
-        
-        // Add click handler
-        const addBtn = addButtonLi.querySelector('.add-bookmark-btn');
-        addBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const parentId = addBtn.dataset.parentId || '';
-            openAddBookmarkModal(parentId);
         });
-        
-        list.appendChild(addButtonLi);
     }
+    
+    writeItems('', '    ');
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
 }
 
-// Get current parent ID for a level
-function getCurrentParentId(level) {
-    if (level === 1) return '';
-    // Find the parent based on current path
-    const parentLevel = level - 1;
-    const parentPane = document.getElementById(`pane${parentLevel}`);
-    if (parentPane && parentPane.dataset.currentFolderId) {
-        return parentPane.dataset.currentFolderId;
-    }
-    return '';
+// Trigger a browser download of text content
+function downloadFile(content, downloadName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = downloadName;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    // Small delay before cleanup to ensure download starts
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 100);
 }
 
-// Setup drag and drop for an item
-function setupDragAndDrop(element, item, level) {
-    const parentId = getCurrentParentId(level);
+// Add default bookmarks
+function addDefaultBookmarks() {
+    bookmarks = [
+        { id: '1', name: 'Google', url: 'https://www.google.com', type: 'bookmark', parent: '', accessTime: 0, order: 0 },
+        { id: '2', name: 'GitHub', url: 'https://www.github.com', type: 'bookmark', parent: '', accessTime: 0, order: 1 },
+        { id: '3', name: 'Development', type: 'folder', parent: '', children: [], order: 2 },
+        { id: '4', name: 'Stack Overflow', url: 'https://stackoverflow.com', type: 'bookmark', parent: '3', accessTime: 0, order: 0 },
+        { id: '5', name: 'MDN Web Docs', url: 'https://developer.mozilla.org', type: 'bookmark', parent: '3', accessTime: 0, order: 1 }
+    ];
+    saveBookmarks();
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    // Export/Import
+    document.getElementById('exportBtn').addEventListener('click', exportBookmarks);
+    document.getElementById('exportHtmlBtn').addEventListener('click', exportBookmarksHtml);
+    document.getElementById('importBtn').addEventListener('click', () => {
+        document.getElementById('fileInput').click();
+    });
+    document.getElementById('fileInput').addEventListener('change', handleFileImport);
     
-    // Drag start
-    element.addEventListener('dragstart', (e) => {
-        e.dataTransfer.effectAllowed = 'move';
-        e.dataTransfer.setData('text/plain', item.id);
-        e.dataTransfer.setData('application/json', JSON.stringify({
-            id: item.id,
-            type: item.type,
-            currentParent: item.parent || parentId
-        }));
-        element.classList.add('dragging');
-        e.stopPropagation();
+    // Bulk actions on the ctrl/shift-click selection
+    document.getElementById('selectionMoveBtn').addEventListener('click', moveSelectedItems);
+    document.getElementById('selectionTagBtn').addEventListener('click', tagSelectedItems);
+    document.getElementById('selectionSortBtn').addEventListener('click', sortSelectedItems);
+    document.getElementById('selectionOpenBtn').addEventListener('click', openSelectedItems);
+    document.getElementById('selectionDeleteBtn').addEventListener('click', deleteSelectedItems);
+    document.getElementById('selectionClearBtn').addEventListener('click', clearSelection);
+    
+    // Command palette (Ctrl+K / Cmd+K), available everywhere
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (document.getElementById('paletteModal').classList.contains('active')) {
+                closeCommandPalette();
+            } else {
+                openCommandPalette();
+            }
+        }
     });
     
-    // Drag end
-    element.addEventListener('dragend', (e) => {
-        element.classList.remove('dragging');
-        document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-        document.querySelectorAll('.drop-zone').forEach(el => el.classList.remove('drop-zone'));
-        document.querySelectorAll('.insert-before').forEach(el => el.classList.remove('insert-before'));
-        document.querySelectorAll('.insert-after').forEach(el => el.classList.remove('insert-after'));
+    const paletteInput = document.getElementById('paletteInput');
+    paletteInput.addEventListener('input', renderCommandPalette);
+    paletteInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (paletteEntries.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activePaletteIndex = (activePaletteIndex + step + paletteEntries.length) % paletteEntries.length;
+            updateActivePaletteEntry();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteEntry(paletteEntries[activePaletteIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            // Escape steps back from a sub-list before closing
+            if (paletteMode !== 'commands') {
+                setPaletteMode('commands');
+            } else {
+                closeCommandPalette();
+            }
+        }
     });
     
-    // Make it a drop zone
-    setupDropZone(element, level, item);
-}
-
-// Setup drop zone for list container (allows dropping on empty space in list)
-function setupListDropZone(listElement, level, parentId) {
-    // Store parentId on the element for use in event handlers
-    listElement.dataset.dropParentId = parentId || '';
-    listElement.dataset.dropLevel = level.toString();
+    // Keyboard navigation of the panes
+    document.addEventListener('keydown', handleNavigationKeydown);
     
-    // Check if listeners are already attached
-    // Only clone if we have existing listeners (to avoid duplicate listeners)
-    // Since we clear the list before calling this, it's safe to clone
-    let actualListElement = listElement;
-    if (listElement.dataset.hasDropListeners === 'true') {
-        // Create a new element without listeners
-        // The list should be empty at this point, so we don't need to preserve content
-        const newListElement = document.createElement('ul');
-        newListElement.className = listElement.className;
-        newListElement.id = listElement.id;
-        newListElement.dataset.dropParentId = parentId || '';
-        newListElement.dataset.dropLevel = level.toString();
-        if (listElement.parentNode) {
-            listElement.parentNode.replaceChild(newListElement, listElement);
-            actualListElement = newListElement;
-        }
-    }
-    actualListElement.dataset.hasDropListeners = 'true';
+    // The focus ring is only shown while navigating with the keyboard
+    document.addEventListener('mousedown', () => {
+        document.body.classList.remove('keyboard-navigating');
+    });
     
-    // Use the actual list element for event listeners
-    actualListElement.addEventListener('dragover', (e) => {
-        // Check if we're over a bookmark item - if so, let the item handle it
-        const bookmarkItem = e.target.closest('.bookmark-item');
-        if (bookmarkItem) {
-            return; // Let the item's drop zone handle it
-        }
-        
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
+    // Undo/redo
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+    
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
         
-        if (!e.dataTransfer.types.includes('application/json')) {
+        // Leave text fields to their own native undo
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
             return;
         }
         
-        // Calculate if we're in the blank space below items
-        const rect = actualListElement.getBoundingClientRect();
-        const y = e.clientY - rect.top;
-        const items = actualListElement.querySelectorAll('.bookmark-item');
-        
-        // Remove all insertion indicators from items
-        document.querySelectorAll('.bookmark-item').forEach(el => {
-            el.classList.remove('insert-before', 'insert-after');
-        });
-        
-        // Check if we're below all items
-        let isBelowAllItems = true;
-        if (items.length > 0) {
-            const lastItem = items[items.length - 1];
-            const lastItemRect = lastItem.getBoundingClientRect();
-            const lastItemBottom = lastItemRect.bottom - rect.top;
-            isBelowAllItems = y > lastItemBottom + 10; // 10px threshold below last item
-        }
-        
-        // Show visual feedback
-        actualListElement.classList.add('drag-over');
-        if (isBelowAllItems) {
-            actualListElement.classList.add('drop-zone-end');
-            // Add indicator to last item if exists
-            if (items.length > 0) {
-                const lastItem = items[items.length - 1];
-                lastItem.classList.add('insert-after');
-            }
-        } else {
-            actualListElement.classList.remove('drop-zone-end');
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
         }
     });
     
-    actualListElement.addEventListener('dragleave', (e) => {
-        // Only remove if actually leaving the list
-        const rect = actualListElement.getBoundingClientRect();
-        const x = e.clientX;
-        const y = e.clientY;
-        if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
-            actualListElement.classList.remove('drag-over', 'drop-zone-end');
-            document.querySelectorAll('.bookmark-item').forEach(el => {
-                el.classList.remove('insert-before', 'insert-after');
-            });
+    // Sort menus in the pane headers
+    document.getElementById('navPanes').addEventListener('change', (e) => {
+        if (e.target.classList.contains('pane-sort')) {
+            handleSortMenuChoice(e.target);
         }
     });
     
-    actualListElement.addEventListener('drop', (e) => {
-        // Check if we're over a bookmark item - if so, let the item handle it
-        const bookmarkItem = e.target.closest('.bookmark-item');
-        if (bookmarkItem) {
-            return; // Let the item's drop zone handle it
+    // Breadcrumb links go back to an open folder
+    document.getElementById('breadcrumb').addEventListener('click', (e) => {
+        const link = e.target.closest('.breadcrumb-link');
+        if (link) {
+            navigateToBreadcrumb(parseInt(link.dataset.index));
         }
-        
-        e.preventDefault();
-        e.stopPropagation();
-        
+    });
+    
+    // Search functionality
+    const searchInput = document.getElementById('searchInput');
+    const clearSearchBtn = document.getElementById('clearSearchBtn');
+    const saveSearchBtn = document.getElementById('saveSearchBtn');
+    
+    searchInput.addEventListener('input', (e) => {
+        searchQuery = e.target.value.trim().toLowerCase();
+        if (searchQuery) {
+            clearSearchBtn.style.display = 'block';
+            saveSearchBtn.style.display = 'block';
+        } else {
+            clearSearchBtn.style.display = 'none';
+            saveSearchBtn.style.display = 'none';
+        }
+        updateSearchFeedback();
+        updateSearchSuggestions();
+        renderNavigation();
+        updateLocationHash();
+    });
+    
+    // Keyboard selection of autocomplete hints
+    searchInput.addEventListener('keydown', (e) => {
+        if (searchSuggestions.length === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestionIndex = (activeSuggestionIndex + step + searchSuggestions.length) % searchSuggestions.length;
+            renderSearchSuggestions();
+        } else if ((e.key === 'Tab' || e.key === 'Enter') && activeSuggestionIndex !== -1) {
+            e.preventDefault();
+            applySearchSuggestion(searchSuggestions[activeSuggestionIndex]);
+        } else if (e.key === 'Escape') {
+            hideSearchSuggestions();
+        }
+    });
+    
+    searchInput.addEventListener('blur', hideSearchSuggestions);
+    
+    clearSearchBtn.addEventListener('click', clearSearch);
+    saveSearchBtn.addEventListener('click', saveSearchAsSmartFolder);
+    
+    // Import modal
+    document.getElementById('importForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        runPendingImport();
+    });
+    
+    document.getElementById('closeImportModal').addEventListener('click', closeImportModal);
+    document.getElementById('cancelImportBtn').addEventListener('click', closeImportModal);
+    
+    // Duplicate handling only applies to merges
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const mode = document.querySelector('input[name="importMode"]:checked').value;
+            document.getElementById('importDuplicatesGroup').style.display = mode === 'merge' ? 'block' : 'none';
+        });
+    });
+    
+    // Report modal
+    document.getElementById('closeReportModal').addEventListener('click', () => {
+        document.getElementById('reportModal').classList.remove('active');
+    });
+    
+    document.getElementById('closeReportBtn').addEventListener('click', () => {
+        document.getElementById('reportModal').classList.remove('active');
+    });
+    
+    // Duplicate finder
+    document.getElementById('findDuplicatesBtn').addEventListener('click', openDuplicatesModal);
+    document.getElementById('closeDuplicatesModal').addEventListener('click', closeDuplicatesModal);
+    document.getElementById('closeDuplicatesBtn').addEventListener('click', closeDuplicatesModal);
+    document.getElementById('mergeAllDuplicatesBtn').addEventListener('click', mergeAllDuplicates);
+    
+    // Snapshot history
+    document.getElementById('snapshotsBtn').addEventListener('click', openSnapshotsModal);
+    document.getElementById('closeSnapshotsModal').addEventListener('click', closeSnapshotsModal);
+    document.getElementById('closeSnapshotsBtn').addEventListener('click', closeSnapshotsModal);
+    document.getElementById('takeSnapshotBtn').addEventListener('click', takeManualSnapshot);
+    
+    // Trash
+    document.getElementById('trashBtn').addEventListener('click', openTrashModal);
+    document.getElementById('closeTrashModal').addEventListener('click', closeTrashModal);
+    document.getElementById('closeTrashBtn').addEventListener('click', closeTrashModal);
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    document.getElementById('restoreAllTrashBtn').addEventListener('click', () => {
+        restoreFromTrash(getTrashedItems());
+    });
+    
+    // Link health
+    document.getElementById('checkLinksBtn').addEventListener('click', () => checkLinks());
+    document.getElementById('brokenLinksBtn').addEventListener('click', openLinkReport);
+    document.getElementById('closeLinkReportModal').addEventListener('click', closeLinkReport);
+    document.getElementById('closeLinkReportBtn').addEventListener('click', closeLinkReport);
+    document.getElementById('updateAllRedirectsBtn').addEventListener('click', updateAllRedirects);
+    document.getElementById('recheckLinksBtn').addEventListener('click', () => {
+        checkLinks(getLinkReportItems());
+    });
+    
+    // Management modal
+    document.getElementById('manageBtn').addEventListener('click', openManageModal);
+    
+    document.getElementById('closeModal').addEventListener('click', () => {
+        document.getElementById('manageModal').classList.remove('active');
+    });
+    
+    // Bookmark modal
+    document.getElementById('addBookmarkBtn').addEventListener('click', () => {
+        openAddBookmarkModal('');
+    });
+    
+    document.getElementById('addFolderBtn').addEventListener('click', () => {
+        openAddFolderModal('');
+    });
+    
+    document.getElementById('closeBookmarkModal').addEventListener('click', () => {
+        document.getElementById('bookmarkModal').classList.remove('active');
+    });
+    
+    document.getElementById('cancelBookmarkBtn').addEventListener('click', () => {
+        document.getElementById('bookmarkModal').classList.remove('active');
+    });
+    
+    // Delete button in edit modal
+    document.getElementById('deleteBookmarkBtn').addEventListener('click', () => {
+        if (editingItem) {
+            if (confirm('Move this item to the trash? Anything inside it goes too.')) {
+                const itemId = editingItem.id;
+                document.getElementById('bookmarkModal').classList.remove('active');
+                deleteItem(itemId, true);
+            }
+        }
+    });
+    
+    // Bookmark form submission
+    document.getElementById('bookmarkForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveBookmarkItem();
+    });
+    
+    // Tag autocomplete
+    const tagsInput = document.getElementById('bookmarkTags');
+    tagsInput.addEventListener('input', updateTagSuggestions);
+    tagsInput.addEventListener('blur', hideTagSuggestions);
+    tagsInput.addEventListener('keydown', (e) => {
+        if (tagSuggestions.length === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeTagSuggestionIndex = (activeTagSuggestionIndex + step + tagSuggestions.length) % tagSuggestions.length;
+            renderTagSuggestions();
+        } else if ((e.key === 'Tab' || e.key === 'Enter') && activeTagSuggestionIndex !== -1) {
+            e.preventDefault();
+            applyTagSuggestion(tagSuggestions[activeTagSuggestionIndex]);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            hideTagSuggestions();
+        }
+    });
+    
+    // Auto-fetch page title when URL is entered
+    const urlInput = document.getElementById('bookmarkUrl');
+    let titleFetchTimeout = null;
+    urlInput.addEventListener('input', (e) => {
+        const url = e.target.value.trim();
+        const nameInput = document.getElementById('bookmarkName');
+        
+        // Clear previous timeout
+        if (titleFetchTimeout) {
+            clearTimeout(titleFetchTimeout);
+        }
+        
+        // Only fetch if URL looks valid and name is empty
+        if (url && !nameInput.value.trim() && (url.startsWith('http://') || url.startsWith('https://'))) {
+            // Debounce: wait 500ms after user stops typing
+            titleFetchTimeout = setTimeout(() => {
+                fetchPageTitle(url, nameInput);
+            }, 500);
+        }
+    });
+    
+    // Settings modal
+    document.getElementById('settingsBtn').addEventListener('click', openSettingsModal);
+    document.getElementById('paletteBtn').addEventListener('click', openCommandPalette);
+    document.getElementById('mostUsedBtn').addEventListener('click', toggleMostUsedView);
+    
+    document.getElementById('closeSettingsModal').addEventListener('click', closeSettingsModal);
+    document.getElementById('cancelSettingsBtn').addEventListener('click', closeSettingsModal);
+    
+    // Theme changes are previewed while the settings modal is open
+    document.getElementById('theme').addEventListener('change', (e) => {
+        themeDraft.theme = e.target.value;
+        previewTheme();
+        renderThemeSettings();
+    });
+    
+    document.getElementById('themeColors').addEventListener('input', (e) => {
+        const palette = themeDraft.palettes.find(p => p.id === themeDraft.theme);
+        if (!palette) return;
+        if (e.target.dataset.colorKey) {
+            palette.colors[e.target.dataset.colorKey] = e.target.value;
+            previewTheme();
+        } else if (e.target.hasAttribute('data-palette-name')) {
+            palette.name = e.target.value;
+            const option = Array.from(document.getElementById('theme').options).find(o => o.value === palette.id);
+            if (option) option.textContent = palette.name;
+        }
+    });
+    
+    document.getElementById('newPaletteBtn').addEventListener('click', createPalette);
+    document.getElementById('deletePaletteBtn').addEventListener('click', deleteSelectedPalette);
+    document.getElementById('exportPaletteBtn').addEventListener('click', exportSelectedPalette);
+    document.getElementById('importPaletteBtn').addEventListener('click', () => {
+        document.getElementById('paletteFileInput').click();
+    });
+    document.getElementById('paletteFileInput').addEventListener('change', importPaletteFile);
+    
+    document.getElementById('resetSettingsBtn').addEventListener('click', () => {
+        if (confirm('Reset settings to default values? Your custom palettes are kept.')) {
+            saveSettings({ ...DEFAULT_SETTINGS, palettes: loadSettings().palettes });
+            applySettings();
+            const settings = loadSettings();
+            themeDraft.theme = settings.theme;
+            renderThemeSettings();
+            document.getElementById('fontSize').value = settings.fontSize;
+            document.getElementById('itemGap').value = settings.itemGap;
+            document.getElementById('linkCheckEndpoint').value = settings.linkCheckEndpoint;
+            document.getElementById('linkCheckConcurrency').value = settings.linkCheckConcurrency;
+            document.getElementById('faviconProxy').value = settings.faviconProxy;
+            document.getElementById('trashRetentionDays').value = settings.trashRetentionDays;
+        }
+    });
+    
+    // Settings form submission
+    document.getElementById('settingsForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const fontSize = parseInt(document.getElementById('fontSize').value);
+        const itemGap = parseInt(document.getElementById('itemGap').value);
+        const linkCheckEndpoint = document.getElementById('linkCheckEndpoint').value.trim();
+        const faviconProxy = document.getElementById('faviconProxy').value.trim();
+        const linkCheckConcurrency = parseInt(document.getElementById('linkCheckConcurrency').value);
+        const trashRetentionDays = parseInt(document.getElementById('trashRetentionDays').value);
+        
+        if (fontSize < 10 || fontSize > 24) {
+            alert('Font size must be between 10 and 24 pixels');
+            return;
+        }
+        
+        if (itemGap < 0 || itemGap > 20) {
+            alert('Item gap must be between 0 and 20 pixels');
+            return;
+        }
+        
+        if (faviconProxy && !faviconProxy.includes('{url}')) {
+            alert('The favicon proxy must contain {url} where the site URL goes');
+            return;
+        }
+        
+        if (linkCheckConcurrency < 1 || linkCheckConcurrency > 16) {
+            alert('Concurrent link checks must be between 1 and 16');
+            return;
+        }
+        
+        if (trashRetentionDays < 1 || trashRetentionDays > 365) {
+            alert('Days to keep items in the trash must be between 1 and 365');
+            return;
+        }
+        
+        if (themeDraft.palettes.some(palette => !palette.name.trim())) {
+            alert('Every palette needs a name');
+            return;
+        }
+        
+        const settings = {
+            fontSize: fontSize,
+            itemGap: itemGap,
+            linkCheckEndpoint: linkCheckEndpoint || DEFAULT_SETTINGS.linkCheckEndpoint,
+            linkCheckConcurrency: linkCheckConcurrency,
+            faviconProxy: faviconProxy,
+            trashRetentionDays: trashRetentionDays,
+            theme: themeDraft.theme,
+            palettes: themeDraft.palettes.map(palette => ({ ...palette, name: palette.name.trim() }))
+        };
+        
+        saveSettings(settings);
+        closeSettingsModal();
+    });
+    
+    // Close modals on outside click
+    window.addEventListener('click', (e) => {
+        const manageModal = document.getElementById('manageModal');
+        const bookmarkModal = document.getElementById('bookmarkModal');
+        const settingsModal = document.getElementById('settingsModal');
+        const importModal = document.getElementById('importModal');
+        const reportModal = document.getElementById('reportModal');
+        const linkReportModal = document.getElementById('linkReportModal');
+        const duplicatesModal = document.getElementById('duplicatesModal');
+        const snapshotsModal = document.getElementById('snapshotsModal');
+        const trashModal = document.getElementById('trashModal');
+        const paletteModal = document.getElementById('paletteModal');
+        if (e.target === paletteModal) {
+            closeCommandPalette();
+        }
+        if (e.target === importModal) {
+            closeImportModal();
+        }
+        if (e.target === reportModal) {
+            reportModal.classList.remove('active');
+        }
+        if (e.target === linkReportModal) {
+            closeLinkReport();
+        }
+        if (e.target === duplicatesModal) {
+            closeDuplicatesModal();
+        }
+        if (e.target === snapshotsModal) {
+            closeSnapshotsModal();
+        }
+        if (e.target === trashModal) {
+            closeTrashModal();
+        }
+        if (e.target === manageModal) {
+            manageModal.classList.remove('active');
+        }
+        if (e.target === bookmarkModal) {
+            bookmarkModal.classList.remove('active');
+        }
+        if (e.target === settingsModal) {
+            closeSettingsModal();
+        }
+    });
+}
+
+// Render navigation panes
+function renderNavigation() {
+    renderTagCloud();
+    
+    // Start over from the root pane; the panes of open folders are added again below
+    removePanesAfter(1);
+    
+    document.getElementById('mostUsedBtn').classList.toggle('active', mostUsedView);
+    
+    // If searching, show search results
+    if (searchQuery) {
+        const searchResults = searchBookmarks(searchQuery);
+        renderList(1, searchResults, `Search Results (${searchResults.length})`);
+        setActivePane(1);
+    } else if (mostUsedView) {
+        renderList(1, getMostUsedBookmarks(), 'Most Used');
+        setActivePane(1);
+    } else {
+        // Restore navigation path if available
+        if (currentPath.length > 0) {
+            restoreNavigationPath();
+        } else {
+            // Show first pane with root items
+            const rootItems = getSortedItemsByParent('');
+            renderList(1, rootItems, 'Bookmarks');
+            setActivePane(1);
+            renderSmartFolderPane();
+        }
+    }
+    
+    renderBreadcrumb();
+    updateSelectionView();
+}
+
+// Get the pane for a level, creating it (and any missing panes before it) when it is first needed
+function getPane(level) {
+    let pane = document.getElementById(`pane${level}`);
+    if (pane) return pane;
+    if (level > 1) {
+        getPane(level - 1);
+    }
+    
+    pane = document.createElement('div');
+    pane.className = 'nav-pane';
+    pane.id = `pane${level}`;
+    pane.dataset.level = level;
+    pane.innerHTML = `
+        <div class="pane-header">
+            <h2></h2>
+            <select class="pane-sort"></select>
+        </div>
+        <ul class="bookmark-list" id="list${level}"></ul>
+    `;
+    document.getElementById('navPanes').appendChild(pane);
+    return pane;
+}
+
+// Remove the panes deeper than a level
+function removePanesAfter(level) {
+    document.querySelectorAll('#navPanes .nav-pane').forEach(pane => {
+        if (parseInt(pane.dataset.level) > level) {
+            pane.remove();
+        }
+    });
+}
+
+// Highlight a pane and scroll the pane strip sideways so that it is in view
+function setActivePane(level) {
+    document.querySelectorAll('#navPanes .nav-pane').forEach(pane => {
+        pane.classList.toggle('active', parseInt(pane.dataset.level) === level);
+    });
+    
+    const strip = document.getElementById('navPanes');
+    const pane = document.getElementById(`pane${level}`);
+    if (!pane) return;
+    const stripBox = strip.getBoundingClientRect();
+    const paneBox = pane.getBoundingClientRect();
+    if (paneBox.right > stripBox.right) {
+        strip.scrollLeft += paneBox.right - stripBox.right;
+    } else if (paneBox.left < stripBox.left) {
+        strip.scrollLeft -= stripBox.left - paneBox.left;
+    }
+}
+
+// Show the open folders above the panes; each one can be clicked to go back to it
+function renderBreadcrumb() {
+    const breadcrumb = document.getElementById('breadcrumb');
+    const smartFolder = smartFolders.find(f => f.id === openSmartFolderId);
+    // Search results and Most used are not inside a folder
+    if (isShowingResults() || (currentPath.length === 0 && !smartFolder)) {
+        breadcrumb.style.display = 'none';
+        breadcrumb.innerHTML = '';
+        return;
+    }
+    
+    const crumbs = [{ index: -1, name: 'Bookmarks' }].concat(currentPath.map((folder, index) => ({ index: index, name: folder.name })));
+    if (smartFolder) {
+        crumbs.push({ index: null, name: `🔍 ${smartFolder.name}` });
+    }
+    
+    breadcrumb.innerHTML = crumbs.map((crumb, i) => {
+        if (i === crumbs.length - 1) {
+            return `<span class="breadcrumb-current" aria-current="location">${escapeHtml(crumb.name)}</span>`;
+        }
+        return `<button type="button" class="breadcrumb-link" data-index="${crumb.index}">${escapeHtml(crumb.name)}</button>`;
+    }).join('<span class="breadcrumb-separator">›</span>');
+    breadcrumb.style.display = 'flex';
+}
+
+// Go back to a folder in the breadcrumb (-1 for the root)
+function navigateToBreadcrumb(index) {
+    keyboardFocus = null;
+    if (index < 0) {
+        currentPath = [];
+        openSmartFolderId = null;
+        saveNavigationState();
+        renderNavigation();
+        return;
+    }
+    navigateToFolder(currentPath[index], index + 1);
+}
+
+// Empty the search box and go back to the folders
+function clearSearch() {
+    document.getElementById('searchInput').value = '';
+    searchQuery = '';
+    document.getElementById('clearSearchBtn').style.display = 'none';
+    document.getElementById('saveSearchBtn').style.display = 'none';
+    updateSearchFeedback();
+    hideSearchSuggestions();
+    // Restore navigation state when clearing search
+    restoreNavigationState();
+    renderNavigation();
+    updateLocationHash();
+}
+
+// Whether pane 1 shows a flat list (search results or Most used) instead of folders
+function isShowingResults() {
+    return Boolean(searchQuery) || mostUsedView;
+}
+
+// Switch pane 1 between the folders and the Most used list
+function toggleMostUsedView() {
+    mostUsedView = !mostUsedView;
+    keyboardFocus = null;
+    renderNavigation();
+}
+
+// Load smart folders from localStorage
+function loadSmartFolders() {
+    try {
+        const stored = localStorage.getItem(SMART_FOLDERS_KEY);
+        const parsed = stored ? JSON.parse(stored) : [];
+        smartFolders = Array.isArray(parsed)
+            ? parsed.filter(folder => folder && typeof folder.name === 'string' && typeof folder.query === 'string')
+            : [];
+    } catch (e) {
+        console.error('Error loading smart folders from localStorage:', e);
+        smartFolders = [];
+    }
+}
+
+// Save smart folders to localStorage
+function saveSmartFolders() {
+    try {
+        localStorage.setItem(SMART_FOLDERS_KEY, JSON.stringify(smartFolders));
+    } catch (e) {
+        console.error('Error saving smart folders to localStorage:', e);
+        alert('Error saving smart folders. Storage may be full.');
+    }
+}
+
+// Save the search in the search box as a smart folder and open it
+function saveSearchAsSmartFolder() {
+    const query = document.getElementById('searchInput').value.trim();
+    if (!query) return;
+    
+    const parsed = parseSearchQuery(query.toLowerCase());
+    if (parsed.errors.length > 0) {
+        alert(`Fix the search before saving it:\n${parsed.errors.join('\n')}`);
+        return;
+    }
+    
+    const name = prompt('Name for the smart folder:', query);
+    if (name === null || !name.trim()) return;
+    
+    const folder = { id: generateItemId(), name: name.trim(), query: query };
+    smartFolders.push(folder);
+    saveSmartFolders();
+    
+    // Leave search so the new folder is visible next to the real ones
+    clearSearch();
+    openSmartFolder(folder.id);
+}
+
+// Change a smart folder's name and query
+function editSmartFolder(id) {
+    const folder = smartFolders.find(f => f.id === id);
+    if (!folder) return;
+    
+    const name = prompt('Name for the smart folder:', folder.name);
+    if (name === null || !name.trim()) return;
+    const query = prompt('Search for the smart folder (the same operators as the search box):', folder.query);
+    if (query === null || !query.trim()) return;
+    
+    const errors = parseSearchQuery(query.trim().toLowerCase()).errors;
+    if (errors.length > 0) {
+        alert(`The search was not saved:\n${errors.join('\n')}`);
+        return;
+    }
+    
+    folder.name = name.trim();
+    folder.query = query.trim();
+    saveSmartFolders();
+    renderNavigation();
+}
+
+// Remove a smart folder (its bookmarks are not touched)
+function deleteSmartFolder(id) {
+    const folder = smartFolders.find(f => f.id === id);
+    if (!folder || !confirm(`Remove the smart folder "${folder.name}"? The bookmarks in it are not deleted.`)) {
+        return;
+    }
+    
+    smartFolders = smartFolders.filter(f => f.id !== id);
+    if (openSmartFolderId === id) {
+        openSmartFolderId = null;
+    }
+    saveSmartFolders();
+    saveNavigationState();
+    renderNavigation();
+}
+
+// Show a smart folder's contents in pane 2
+function openSmartFolder(id) {
+    openSmartFolderId = id;
+    currentPath = [];
+    mostUsedView = false;
+    keyboardFocus = null;
+    saveNavigationState();
+    renderNavigation();
+}
+
+// Add the smart folders to the top of the root pane
+function appendSmartFolders(list) {
+    smartFolders.forEach(folder => {
+        const count = searchBookmarks(folder.query.toLowerCase()).length;
+        const li = document.createElement('li');
+        li.className = 'bookmark-item smart-folder';
+        li.dataset.smartFolderId = folder.id;
+        li.title = `Smart folder: ${folder.query}`;
+        li.classList.toggle('open', folder.id === openSmartFolderId);
+        li.innerHTML = `
+            <span class="folder-icon">🔍</span>
+            <span class="item-content">${escapeHtml(folder.name)}</span>
+            <span class="smart-folder-count">${count}</span>
+            <div class="actions">
+                <button class="edit-icon-btn" data-action="edit" title="Edit smart folder">✏️</button>
+                <button class="edit-icon-btn" data-action="delete" title="Remove smart folder">✕</button>
+            </div>
+        `;
+        li.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (action && action.dataset.action === 'edit') {
+                editSmartFolder(folder.id);
+            } else if (action && action.dataset.action === 'delete') {
+                deleteSmartFolder(folder.id);
+            } else {
+                openSmartFolder(folder.id);
+            }
+        });
+        list.appendChild(li);
+    });
+}
+
+// Render the open smart folder (if any) in pane 2, computed from the current bookmarks
+function renderSmartFolderPane() {
+    const folder = smartFolders.find(f => f.id === openSmartFolderId);
+    if (!folder) {
+        openSmartFolderId = null;
+        return;
+    }
+    
+    getPane(2).dataset.currentFolderId = '';
+    renderList(2, searchBookmarks(folder.query.toLowerCase()), folder.name, true);
+    setActivePane(2);
+}
+
+// Restore navigation path from currentPath
+function restoreNavigationPath() {
+    // Show root pane first
+    const rootItems = getSortedItemsByParent('');
+    renderList(1, rootItems, 'Bookmarks');
+    
+    // Navigate through the path, one pane per folder
+    currentPath.forEach((folder, index) => {
+        const level = index + 2;
+        getPane(level).dataset.currentFolderId = folder.id;
+        renderList(level, getSortedItemsByParent(folder.id), folder.name);
+    });
+    setActivePane(currentPath.length + 1);
+}
+
+// Share of the search score that comes from how much a bookmark is used (its frecency)
+const SEARCH_FRECENCY_WEIGHT = 0.25;
+
+// Visits remembered per bookmark for scoring; the total count is kept separately
+const MAX_RECENT_VISITS = 10;
+
+// Points a visit is worth by age, as in Firefox's frecency: recent visits count most
+const FRECENCY_BUCKETS = [
+    { days: 4, points: 100 },
+    { days: 14, points: 70 },
+    { days: 31, points: 50 },
+    { days: 90, points: 30 },
+    { days: Infinity, points: 10 }
+];
+
+// Frecency at which a bookmark's search boost is about two thirds of the maximum
+const FRECENCY_SCALE = 200;
+
+// How many bookmarks the Most used view lists
+const MOST_USED_LIMIT = 25;
+
+// Search bookmarks by name, URL, folder path
+// The query may mix plain terms with operators (see parseSearchQuery)
+// Every plain term must match one of the fields; results are ranked by relevance mixed with frecency
+function searchBookmarks(query) {
+    if (!query) return [];
+    
+    const parsed = parseSearchQuery(query.toLowerCase());
+    if (parsed.terms.length === 0 && parsed.excludedTerms.length === 0 && parsed.filters.length === 0) {
+        return [];
+    }
+    
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    const now = Date.now();
+    const results = [];
+    
+    getLiveItems().forEach(item => {
+        const ancestors = getAncestors(item, itemsById);
+        if (!parsed.filters.every(filter => matchesSearchFilter(item, filter, ancestors, now))) {
+            return;
+        }
+        
+        const fields = getSearchFields(item, ancestors);
+        
+        // Excluded terms only drop literal matches; fuzzy matching would drop too much
+        if (parsed.excludedTerms.some(term => fields.some(field => field.text.includes(term)))) {
+            return;
+        }
+        
+        // With only operators, every remaining item is equally relevant
+        let relevance = parsed.terms.length === 0 ? 1 : 0;
+        for (const term of parsed.terms) {
+            let best = 0;
+            fields.forEach(field => {
+                const match = fuzzyMatch(term, field.text);
+                if (match) {
+                    best = Math.max(best, match.score * field.weight);
+                }
+            });
+            // All terms must match somewhere
+            if (best === 0) return;
+            relevance += best / parsed.terms.length;
+        }
+        
+        results.push({ item: item, score: relevance * (1 - SEARCH_FRECENCY_WEIGHT) + getFrecencyScore(item, now) * SEARCH_FRECENCY_WEIGHT });
+    });
+    
+    // Best score first, then alphabetically
+    results.sort((a, b) => {
+        if (b.score !== a.score) {
+            return b.score - a.score;
+        }
+        return a.item.name.localeCompare(b.item.name);
+    });
+    return results.map(result => result.item);
+}
+
+// Folders containing an item, nearest first
+function getAncestors(item, itemsById) {
+    const ancestors = [];
+    const seen = new Set();
+    let parent = itemsById.get(item.parent);
+    while (parent && !seen.has(parent.id)) {
+        seen.add(parent.id);
+        ancestors.push(parent);
+        parent = itemsById.get(parent.parent);
+    }
+    return ancestors;
+}
+
+// Fields a search term can match, with how much a match in each counts
+function getSearchFields(item, ancestors) {
+    const fields = [{ text: (item.name || '').toLowerCase(), weight: 1 }];
+    
+    if (item.type !== 'folder' && item.url) {
+        try {
+            const url = new URL(item.url);
+            fields.push({ text: url.hostname.toLowerCase(), weight: 0.8 });
+            fields.push({ text: decodeURIComponent(url.pathname + url.search).toLowerCase(), weight: 0.6 });
+        } catch (e) {
+            fields.push({ text: item.url.toLowerCase(), weight: 0.6 });
+        }
+    }
+    
+    if (item.tags && item.tags.length > 0) {
+        fields.push({ text: item.tags.join(' '), weight: 0.7 });
+    }
+    
+    if (item.notes) {
+        fields.push({ text: item.notes.toLowerCase(), weight: 0.4 });
+    }
+    
+    // Names of the folders the item lives in
+    if (ancestors.length > 0) {
+        fields.push({ text: ancestors.map(folder => folder.name || '').join(' / ').toLowerCase(), weight: 0.5 });
+    }
+    
+    return fields;
+}
+
+// Search operators and the help text shown in autocomplete
+const SEARCH_OPERATORS = {
+    folder: 'inside a folder whose name contains the value',
+    url: 'URL contains the value',
+    type: 'bookmark or folder',
+    visited: 'last visit, e.g. <30d, >1y or never',
+    tag: 'has the tag (also written #tag)'
+};
+
+// Units accepted by visited:<N… and visited:>N…
+const VISITED_UNITS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    m: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+};
+
+// Split a query into whitespace-separated tokens, keeping "quoted phrases" together
+// Each token records where it sits in the query (used by autocomplete)
+function tokenizeSearchQuery(query) {
+    const tokens = [];
+    const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Parse a search query such as: folder:Work url:github visited:<30d type:folder -archive
+// Returns { terms, excludedTerms, filters, errors }; malformed operators are reported in errors and ignored
+function parseSearchQuery(query) {
+    const parsed = { terms: [], excludedTerms: [], filters: [], errors: [] };
+    
+    tokenizeSearchQuery(query).forEach(token => {
+        let text = token.text;
+        const negate = text.length > 1 && text.startsWith('-');
+        if (negate) {
+            text = text.slice(1);
+        }
+        
+        // #name is shorthand for tag:name
+        if (/^#[^#\s]+$/.test(text)) {
+            text = `tag:${text.slice(1)}`;
+        }
+        
+        const operatorMatch = text.match(/^([a-z]+):(.*)$/i);
+        // Things like https://… are plain text, not operators
+        if (!operatorMatch || operatorMatch[2].startsWith('//')) {
+            const term = unquoteSearchValue(text).toLowerCase();
+            if (term) {
+                (negate ? parsed.excludedTerms : parsed.terms).push(term);
+            }
+            return;
+        }
+        
+        const operator = operatorMatch[1].toLowerCase();
+        const value = unquoteSearchValue(operatorMatch[2]).toLowerCase();
+        
+        if (!SEARCH_OPERATORS[operator]) {
+            parsed.errors.push(`Unknown operator "${operator}:" (use ${Object.keys(SEARCH_OPERATORS).map(name => name + ':').join(', ')})`);
+            return;
+        }
+        if (!value) {
+            parsed.errors.push(`"${operator}:" needs a value`);
+            return;
+        }
+        
+        const filter = { operator: operator, value: value, negate: negate };
+        
+        if (operator === 'type' && value !== 'bookmark' && value !== 'folder') {
+            parsed.errors.push(`"type:" must be bookmark or folder, not "${value}"`);
+            return;
+        }
+        
+        if (operator === 'visited' && value !== 'never') {
+            const visitedMatch = value.match(/^([<>])(\d+)([hdwmy])$/);
+            if (!visitedMatch) {
+                parsed.errors.push(`"visited:${value}" is not understood (try visited:<30d, visited:>1y or visited:never)`);
+                return;
+            }
+            filter.comparison = visitedMatch[1];
+            filter.age = parseInt(visitedMatch[2], 10) * VISITED_UNITS[visitedMatch[3]];
+        }
+        
+        parsed.filters.push(filter);
+    });
+    
+    return parsed;
+}
+
+// Strip the quotes from a "quoted value"
+function unquoteSearchValue(value) {
+    return value.replace(/^"/, '').replace(/"$/, '').trim();
+}
+
+// Check an item against a parsed search operator
+function matchesSearchFilter(item, filter, ancestors, now = Date.now()) {
+    let matches = false;
+    
+    switch (filter.operator) {
+        case 'folder':
+            matches = ancestors.some(folder => (folder.name || '').toLowerCase().includes(filter.value));
+            break;
+        case 'url':
+            matches = !!item.url && item.url.toLowerCase().includes(filter.value);
+            break;
+        case 'type':
+            matches = item.type === filter.value;
+            break;
+        case 'tag':
+            matches = (item.tags || []).includes(filter.value.replace(/^#/, ''));
+            break;
+        case 'visited':
+            if (filter.value === 'never') {
+                matches = item.type !== 'folder' && !item.accessTime;
+            } else if (item.accessTime) {
+                const age = now - item.accessTime;
+                matches = filter.comparison === '<' ? age < filter.age : age > filter.age;
+            }
+            break;
+    }
+    
+    return filter.negate ? !matches : matches;
+}
+
+// Show errors for malformed operators under the search box
+function updateSearchFeedback() {
+    const feedback = document.getElementById('searchFeedback');
+    const errors = searchQuery ? parseSearchQuery(searchQuery).errors : [];
+    feedback.textContent = errors.join(' · ');
+    feedback.style.display = errors.length > 0 ? 'block' : 'none';
+}
+
+// Compute autocomplete hints for the token under the cursor
+function updateSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const caret = input.selectionStart !== null ? input.selectionStart : input.value.length;
+    const token = tokenizeSearchQuery(input.value).find(t => t.start < caret && caret <= t.end);
+    
+    searchSuggestions = [];
+    activeSuggestionIndex = -1;
+    
+    if (token) {
+        const prefix = token.text.startsWith('-') ? '-' : '';
+        const text = token.text.slice(prefix.length);
+        const operatorMatch = text.match(/^([a-z]+):(.*)$/i);
+        
+        if (!operatorMatch) {
+            // Operator names
+            const lowerText = text.toLowerCase();
+            Object.keys(SEARCH_OPERATORS)
+                .filter(name => lowerText && name.startsWith(lowerText) && name !== lowerText)
+                .forEach(name => {
+                    searchSuggestions.push({ token: token, text: `${prefix}${name}:`, label: `${name}:`, hint: SEARCH_OPERATORS[name], complete: false });
+                });
+        } else {
+            // Operator values
+            const operator = operatorMatch[1].toLowerCase();
+            const partial = unquoteSearchValue(operatorMatch[2]).toLowerCase();
+            let values = [];
+            
+            if (operator === 'folder') {
+                const names = new Set(getLiveItems().filter(item => item.type === 'folder').map(item => item.name));
+                values = Array.from(names)
+                    .filter(name => name.toLowerCase().includes(partial))
+                    .sort((a, b) => a.localeCompare(b))
+                    .slice(0, 8);
+            } else if (operator === 'type') {
+                values = ['bookmark', 'folder'].filter(value => value.startsWith(partial));
+            } else if (operator === 'visited') {
+                values = ['<1d', '<7d', '<30d', '>90d', '>1y', 'never'].filter(value => value.startsWith(partial));
+            } else if (operator === 'tag') {
+                values = Array.from(getAllTags().keys())
+                    .filter(tag => tag.includes(partial.replace(/^#/, '')))
+                    .slice(0, 8);
+            }
+            
+            values
+                .filter(value => value.toLowerCase() !== partial)
+                .forEach(value => {
+                    const quoted = /\s/.test(value) ? `"${value}"` : value;
+                    searchSuggestions.push({ token: token, text: `${prefix}${operator}:${quoted}`, label: `${operator}:${quoted}`, hint: '', complete: true });
+                });
+        }
+    }
+    
+    renderSearchSuggestions();
+}
+
+// Render the autocomplete hint list
+function renderSearchSuggestions() {
+    const list = document.getElementById('searchSuggestions');
+    list.innerHTML = '';
+    
+    if (searchSuggestions.length === 0) {
+        list.style.display = 'none';
+        return;
+    }
+    
+    searchSuggestions.forEach((suggestion, index) => {
+        const li = document.createElement('li');
+        li.className = 'search-suggestion' + (index === activeSuggestionIndex ? ' active' : '');
+        li.innerHTML = `<span class="suggestion-label">${escapeHtml(suggestion.label)}</span>` +
+            (suggestion.hint ? ` <span class="suggestion-hint">${escapeHtml(suggestion.hint)}</span>` : '');
+        // mousedown instead of click so the input does not lose focus first
+        li.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            applySearchSuggestion(suggestion);
+        });
+        list.appendChild(li);
+    });
+    list.style.display = 'block';
+}
+
+// Replace the token under the cursor with a suggestion
+function applySearchSuggestion(suggestion) {
+    const input = document.getElementById('searchInput');
+    const before = input.value.slice(0, suggestion.token.start);
+    const after = input.value.slice(suggestion.token.end);
+    const insert = suggestion.text + (suggestion.complete && !after.startsWith(' ') ? ' ' : '');
+    
+    input.value = before + insert + after;
+    const caret = before.length + insert.length;
+    input.setSelectionRange(caret, caret);
+    input.focus();
+    input.dispatchEvent(new Event('input'));
+}
+
+// Hide the autocomplete hint list
+function hideSearchSuggestions() {
+    searchSuggestions = [];
+    activeSuggestionIndex = -1;
+    renderSearchSuggestions();
+}
+
+// Visit log of an item: { count, recent } with recent timestamps newest first
+// Items from before visits were logged count their last access as one visit
+function getVisits(item) {
+    if (item.visits) {
+        return item.visits;
+    }
+    return item.accessTime ? { count: 1, recent: [item.accessTime] } : { count: 0, recent: [] };
+}
+
+// Firefox-style frecency: the average worth of the recent visits (by age) times the total visit count
+function getFrecency(item, now = Date.now()) {
+    const visits = getVisits(item);
+    if (visits.count === 0 || visits.recent.length === 0) return 0;
+    
+    const oneDay = 24 * 60 * 60 * 1000;
+    const points = visits.recent.reduce((sum, time) => {
+        const age = (now - time) / oneDay;
+        return sum + FRECENCY_BUCKETS.find(bucket => age <= bucket.days).points;
+    }, 0);
+    return visits.count * points / visits.recent.length;
+}
+
+// Frecency scaled to a score from 0 to 1
+function getFrecencyScore(item, now = Date.now()) {
+    return 1 - Math.exp(-getFrecency(item, now) / FRECENCY_SCALE);
+}
+
+// Bookmarks by frecency, most used first
+function getMostUsedBookmarks() {
+    const now = Date.now();
+    return getLiveItems()
+        .filter(item => item.type !== 'folder')
+        .map(item => ({ item: item, frecency: getFrecency(item, now) }))
+        .filter(entry => entry.frecency > 0)
+        .sort((a, b) => b.frecency - a.frecency || a.item.name.localeCompare(b.item.name))
+        .slice(0, MOST_USED_LIMIT)
+        .map(entry => entry.item);
+}
+
+// Tooltip describing how often and when a bookmark was opened
+function describeVisits(item) {
+    const visits = getVisits(item);
+    if (visits.count === 0) {
+        return 'Never opened';
+    }
+    return `Opened ${visits.count} time${visits.count !== 1 ? 's' : ''}, last on ${new Date(visits.recent[0]).toLocaleString()}`;
+}
+
+// Combine two visit logs of the same page (or of one bookmark changed in two places)
+// base is the log both started from, if any, so its visits are not counted twice
+function mergeVisits(first, second, base = { count: 0, recent: [] }) {
+    const recent = Array.from(new Set(first.recent.concat(second.recent)))
+        .sort((a, b) => b - a)
+        .slice(0, MAX_RECENT_VISITS);
+    return { count: Math.max(first.count + second.count - base.count, recent.length), recent: recent };
+}
+
+// Fuzzy-match a lowercase term against lowercase text
+// Tries, in order of preference: substring, in-order characters (subsequence), a word within a small edit distance
+// Returns { score, indices } with score in (0, 1], or null if there is no match
+function fuzzyMatch(term, text) {
+    if (!term || !text) return null;
+    
+    // Substring: best when it starts a word
+    const substringIndex = text.indexOf(term);
+    if (substringIndex !== -1) {
+        const indices = [];
+        for (let i = 0; i < term.length; i++) {
+            indices.push(substringIndex + i);
+        }
+        return { score: isWordStart(text, substringIndex) ? 1 : 0.9, indices: indices };
+    }
+    
+    if (term.length < 2) return null;
+    
+    let best = null;
+    
+    // Subsequence: characters in order, preferring tight matches that start a word
+    for (let start = text.indexOf(term[0]); start !== -1; start = text.indexOf(term[0], start + 1)) {
+        const indices = [start];
+        let position = start + 1;
+        for (let i = 1; i < term.length && indices.length === i; i++) {
+            const found = text.indexOf(term[i], position);
+            if (found !== -1) {
+                indices.push(found);
+                position = found + 1;
+            }
+        }
+        if (indices.length !== term.length) break;
+        
+        const span = indices[indices.length - 1] - indices[0] + 1;
+        // Characters scattered across a long URL are not a meaningful match
+        if (span > term.length * 3) continue;
+        
+        const score = 0.3 + 0.45 * (term.length / span) + (isWordStart(text, start) ? 0.1 : 0);
+        if (!best || score > best.score) {
+            best = { score: score, indices: indices };
+        }
+    }
+    
+    // Typos: compare against each word (or the start of it, while still typing)
+    if (term.length >= 4) {
+        const maxDistance = term.length >= 8 ? 2 : 1;
+        const wordPattern = /[a-z0-9\u00c0-\uffff]+/g;
+        let word;
+        while ((word = wordPattern.exec(text)) !== null) {
+            const candidates = [word[0]];
+            if (word[0].length > term.length) {
+                candidates.push(word[0].slice(0, term.length));
+            }
+            candidates.forEach(candidate => {
+                const distance = getEditDistance(term, candidate, maxDistance);
+                if (distance <= maxDistance) {
+                    const score = 0.55 - 0.15 * (distance - 1);
+                    if (!best || score > best.score) {
+                        const indices = [];
+                        for (let i = 0; i < candidate.length; i++) {
+                            indices.push(word.index + i);
+                        }
+                        best = { score: score, indices: indices };
+                    }
+                }
+            });
+        }
+    }
+    
+    return best;
+}
+
+// Whether a position in text is the start of a word
+function isWordStart(text, index) {
+    return index === 0 || !/[a-z0-9]/.test(text[index - 1]);
+}
+
+// Edit distance counting insertions, deletions, substitutions and swapped neighbours
+// Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+    
+    let previousPrevious = null;
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        previousPrevious = previous;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+// Build HTML for text with the characters matched by the query's plain terms wrapped in <mark>
+function highlightMatches(text, query) {
+    const lowerText = text.toLowerCase();
+    const matched = new Set();
+    parseSearchQuery(query.toLowerCase()).terms.forEach(term => {
+        const match = fuzzyMatch(term, lowerText);
+        if (match) {
+            match.indices.forEach(index => matched.add(index));
+        }
+    });
+    
+    // Group consecutive matched characters into a single <mark>
+    let html = '';
+    let inMark = false;
+    for (let i = 0; i < text.length; i++) {
+        if (matched.has(i) && !inMark) {
+            html += '<mark>';
+            inMark = true;
+        } else if (!matched.has(i) && inMark) {
+            html += '</mark>';
+            inMark = false;
+        }
+        html += escapeHtml(text[i]);
+    }
+    if (inMark) {
+        html += '</mark>';
+    }
+    return html;
+}
+
+// Record a visit: access time, visit count and the recent visits used for frecency
+function recordBookmarkAccess(bookmarkId) {
+    const bookmark = bookmarks.find(b => b.id === bookmarkId);
+    if (bookmark) {
+        const now = Date.now();
+        const visits = getVisits(bookmark);
+        bookmark.accessTime = now;
+        bookmark.visits = {
+            count: visits.count + 1,
+            recent: [now].concat(visits.recent).slice(0, MAX_RECENT_VISITS)
+        };
+        saveBookmarks();
+        // Re-render to update emoji icon
+        renderNavigation();
+    }
+}
+
+// Normalize tags: lowercase, no leading "#", inner spaces become dashes, no duplicates
+function normalizeTags(tags) {
+    const normalized = [];
+    tags.forEach(tag => {
+        const clean = String(tag).trim().replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-');
+        if (clean && !normalized.includes(clean)) {
+            normalized.push(clean);
+        }
+    });
+    return normalized;
+}
+
+// Parse the comma-separated tags field of the bookmark form
+function parseTagInput(value) {
+    return normalizeTags(value.split(','));
+}
+
+// All tags in use, with how many items carry each, most used first
+function getAllTags() {
+    const counts = new Map();
+    getLiveItems().forEach(item => {
+        (item.tags || []).forEach(tag => {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+    });
+    return new Map(Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+// HTML for an item's tag chips
+function renderTagChips(tags) {
+    if (!tags || tags.length === 0) return '';
+    const chips = tags.map(tag => `<span class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show items tagged #${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('');
+    return `<span class="tag-chips">${chips}</span>`;
+}
+
+// Make the tag chips inside an element filter by their tag when clicked
+function bindTagChips(element) {
+    element.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            filterByTag(chip.dataset.tag);
+        });
+    });
+}
+
+// Tag currently filtering the panes (when the search box holds exactly "tag:name")
+function getActiveTagFilter() {
+    const match = searchQuery.match(/^(?:tag:|#)(\S+)$/);
+    return match ? match[1] : null;
+}
+
+// Filter the panes to one tag; filtering by the active tag again clears the filter
+function filterByTag(tag) {
+    const searchInput = document.getElementById('searchInput');
+    searchInput.value = getActiveTagFilter() === tag ? '' : `tag:${tag}`;
+    searchInput.dispatchEvent(new Event('input'));
+    
+    if (!searchInput.value) {
+        restoreNavigationState();
+        renderNavigation();
+    }
+    document.getElementById('manageModal').classList.remove('active');
+}
+
+// Render the tag cloud above the panes
+function renderTagCloud() {
+    const cloud = document.getElementById('tagCloud');
+    const tags = getAllTags();
+    cloud.innerHTML = '';
+    
+    if (tags.size === 0) {
+        cloud.style.display = 'none';
+        return;
+    }
+    
+    const activeTag = getActiveTagFilter();
+    const maxCount = Math.max(...tags.values());
+    tags.forEach((count, tag) => {
+        const button = document.createElement('button');
+        button.className = 'tag-cloud-item' + (tag === activeTag ? ' active' : '');
+        // Scale between 0.85em and 1.3em by usage
+        button.style.fontSize = `${0.85 + 0.45 * (count / maxCount)}em`;
+        button.textContent = `#${tag}`;
+        button.title = `${count} item${count !== 1 ? 's' : ''}`;
+        button.addEventListener('click', () => filterByTag(tag));
+        cloud.appendChild(button);
+    });
+    cloud.style.display = 'flex';
+}
+
+// Suggest existing tags for the tag being typed in the bookmark form
+function updateTagSuggestions() {
+    const input = document.getElementById('bookmarkTags');
+    const parts = input.value.split(',');
+    const partial = parts[parts.length - 1].trim().replace(/^#+/, '').toLowerCase();
+    const alreadyUsed = parseTagInput(parts.slice(0, -1).join(','));
+    
+    tagSuggestions = partial ? Array.from(getAllTags().keys())
+        .filter(tag => tag.includes(partial) && tag !== partial && !alreadyUsed.includes(tag))
+        .slice(0, 8) : [];
+    activeTagSuggestionIndex = -1;
+    renderTagSuggestions();
+}
+
+// Render the tag suggestion list
+function renderTagSuggestions() {
+    const list = document.getElementById('tagSuggestions');
+    list.innerHTML = '';
+    
+    if (tagSuggestions.length === 0) {
+        list.style.display = 'none';
+        return;
+    }
+    
+    tagSuggestions.forEach((tag, index) => {
+        const li = document.createElement('li');
+        li.className = 'search-suggestion' + (index === activeTagSuggestionIndex ? ' active' : '');
+        li.innerHTML = `<span class="suggestion-label">#${escapeHtml(tag)}</span>`;
+        // mousedown instead of click so the input does not lose focus first
+        li.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            applyTagSuggestion(tag);
+        });
+        list.appendChild(li);
+    });
+    list.style.display = 'block';
+}
+
+// Replace the tag being typed with a suggestion
+function applyTagSuggestion(tag) {
+    const input = document.getElementById('bookmarkTags');
+    const parts = input.value.split(',');
+    parts[parts.length - 1] = (parts.length > 1 ? ' ' : '') + tag;
+    input.value = parts.join(',') + ', ';
+    input.focus();
+    hideTagSuggestions();
+}
+
+// Hide the tag suggestion list
+function hideTagSuggestions() {
+    tagSuggestions = [];
+    activeTagSuggestionIndex = -1;
+    renderTagSuggestions();
+}
+
+// HTML for the button that expands an item's notes (nothing if it has none)
+function renderNotesToggle(item) {
+    if (!item.notes) return '';
+    const expanded = expandedNotes.has(item.id);
+    return `<button class="notes-toggle${expanded ? ' expanded' : ''}" title="${escapeHtml(item.notes)}">📝</button>`;
+}
+
+// Wire up an item's notes toggle and show the notes row if it is expanded
+// The row is appended to container, which must allow wrapping onto a full-width line
+function bindNotes(container, item) {
+    const toggle = container.querySelector('.notes-toggle');
+    if (!toggle) return;
+    
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (expandedNotes.has(item.id)) {
+            expandedNotes.delete(item.id);
+        } else {
+            expandedNotes.add(item.id);
+        }
+        renderNotesRow(container, item);
+        toggle.classList.toggle('expanded', expandedNotes.has(item.id));
+    });
+    
+    renderNotesRow(container, item);
+}
+
+// Add or remove the rendered notes below an item
+function renderNotesRow(container, item) {
+    const existing = container.querySelector(':scope > .notes-row');
+    if (existing) {
+        existing.remove();
+    }
+    if (!expandedNotes.has(item.id) || !item.notes) return;
+    
+    const row = document.createElement('div');
+    row.className = 'notes-row';
+    row.innerHTML = renderMarkdown(item.notes);
+    // Links in notes open normally without triggering the item's own click handling
+    row.addEventListener('click', (e) => e.stopPropagation());
+    row.draggable = false;
+    container.appendChild(row);
+}
+
+// Render a small, safe subset of Markdown: paragraphs, headings, lists, code, bold, italic and links
+// All text is escaped first, and only http(s)/mailto links are produced, so the output cannot carry markup or scripts
+function renderMarkdown(text) {
+    const blocks = [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+    let list = null;
+    let codeBlock = null;
+    
+    function flushParagraph() {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    }
+    
+    function flushList() {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(entry => `<li>${renderInlineMarkdown(entry)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    }
+    
+    lines.forEach(line => {
+        if (codeBlock) {
+            if (/^\s*```/.test(line)) {
+                blocks.push(`<pre><code>${escapeHtml(codeBlock.join('\n'))}</code></pre>`);
+                codeBlock = null;
+            } else {
+                codeBlock.push(line);
+            }
+            return;
+        }
+        
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            codeBlock = [];
+            return;
+        }
+        
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else if (heading) {
+            flushParagraph();
+            flushList();
+            // Notes headings are kept small so they do not dominate a list row
+            const level = heading[1].length + 3;
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) {
+                flushList();
+            }
+            if (!list) {
+                list = { tag: tag, items: [] };
+            }
+            list.items.push((bullet || numbered)[1]);
+        } else {
+            flushList();
+            paragraph.push(line);
+        }
+    });
+    
+    // An unclosed code block still shows its contents
+    if (codeBlock) {
+        blocks.push(`<pre><code>${escapeHtml(codeBlock.join('\n'))}</code></pre>`);
+    }
+    flushParagraph();
+    flushList();
+    
+    return blocks.join('');
+}
+
+// Render inline Markdown (code, links, bold, italic) in one line of text
+function renderInlineMarkdown(text) {
+    // Pull out code spans and links first so their contents are not formatted
+    const placeholders = [];
+    function hold(html) {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    }
+    
+    let result = text
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            if (!/^(https?:|mailto:)/i.test(url)) {
+                return match;
+            }
+            return hold(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`);
+        });
+    
+    result = escapeHtml(result)
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_([^_]+)_(?!\w)/g, '$1<em>$2</em>');
+    
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+}
+
+// Favicon cache (IndexedDB database and object store)
+const FAVICON_DB_NAME = 'homepageFavicons';
+const FAVICON_STORE = 'favicons';
+
+// How long a fetched icon is used, and how long to wait before retrying a site that had none
+const FAVICON_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const FAVICON_MISS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Icons larger than this are not cached
+const FAVICON_MAX_BYTES = 100 * 1024;
+
+// Sites fetched at the same time
+const FAVICON_CONCURRENCY = 4;
+
+// Image types kept as icons; anything else (including data: URLs declared by a page) is refused
+const FAVICON_TYPES = ['image/png', 'image/x-icon', 'image/vnd.microsoft.icon', 'image/gif', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+
+const faviconCache = new Map(); // origin -> data URL, or null when the site has no usable icon
+const faviconLoads = new Map(); // origin -> promise of a load in progress
+let faviconDatabase = null; // Promise of the open database (null inside it when IndexedDB is unavailable)
+let activeFaviconLoads = 0;
+const waitingFaviconLoads = [];
+
+// Origin whose icon represents a bookmark ('' for URLs that have no web icon)
+function getFaviconOrigin(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// Icon for a bookmark: its favicon if cached, otherwise a letter avatar, with the access-time emoji as a badge
+function renderFavicon(item) {
+    const origin = getFaviconOrigin(item.url);
+    const host = origin ? new URL(origin).hostname.replace(/^www\./, '') : '';
+    const cached = origin ? faviconCache.get(origin) : null;
+    
+    const image = cached
+        ? `<img class="favicon-image" src="${escapeHtml(cached)}" alt="">`
+        : renderAvatar(host || item.name);
+    
+    // Only bookmarks in use get a badge; the plain link emoji means "rarely or never"
+    const heat = getBookmarkIcon(item);
+    const badge = heat !== '🔗' ? `<span class="recency-badge" title="${escapeHtml(describeVisits(item))}">${heat}</span>` : '';
+    
+    return `<span class="bookmark-icon favicon"${origin ? ` data-origin="${escapeHtml(origin)}"` : ''}>${image}${badge}</span>`;
+}
+
+// Letter avatar with a colour derived from the text, so each site keeps the same colour
+function renderAvatar(text) {
+    text = text || '?';
+    const label = text.trim().charAt(0).toUpperCase() || '?';
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) % 360;
+    }
+    return `<span class="favicon-avatar" style="background: hsl(${hash}, 55%, 50%)">${escapeHtml(label)}</span>`;
+}
+
+// Fetch the icons that are not cached in memory yet for the favicons inside container
+function loadFavicons(container) {
+    const origins = new Set();
+    container.querySelectorAll('.favicon[data-origin]').forEach(el => {
+        if (!faviconCache.has(el.dataset.origin)) {
+            origins.add(el.dataset.origin);
+        }
+    });
+    
+    origins.forEach(origin => {
+        getFavicon(origin).then(dataUrl => {
+            if (dataUrl) {
+                showFavicon(origin, dataUrl);
+            }
+        });
+    });
+}
+
+// Replace the avatars of a site with its icon wherever they are shown
+function showFavicon(origin, dataUrl) {
+    document.querySelectorAll('.favicon[data-origin]').forEach(el => {
+        const avatar = el.querySelector('.favicon-avatar');
+        if (el.dataset.origin === origin && avatar) {
+            const img = document.createElement('img');
+            img.className = 'favicon-image';
+            img.src = dataUrl;
+            img.alt = '';
+            avatar.replaceWith(img);
+        }
+    });
+}
+
+// Icon of a site as a data URL (null if it has none), loading each site only once at a time
+function getFavicon(origin) {
+    if (faviconCache.has(origin)) {
+        return Promise.resolve(faviconCache.get(origin));
+    }
+    if (!faviconLoads.has(origin)) {
+        const load = loadFavicon(origin)
+            .catch(e => {
+                console.error('Error loading favicon:', e);
+                return null;
+            })
+            .then(dataUrl => {
+                // Icons cached by older versions were not checked
+                dataUrl = isSafeFaviconDataUrl(dataUrl) ? dataUrl : null;
+                faviconCache.set(origin, dataUrl);
+                faviconLoads.delete(origin);
+                return dataUrl;
+            });
+        faviconLoads.set(origin, load);
+    }
+    return faviconLoads.get(origin);
+}
+
+// Use the stored icon while it is fresh, otherwise fetch it again
+async function loadFavicon(origin) {
+    const stored = await readStoredFavicon(origin);
+    if (stored) {
+        const maxAge = stored.dataUrl ? FAVICON_MAX_AGE_MS : FAVICON_MISS_MAX_AGE_MS;
+        // Offline, an expired icon is still better than none
+        if (Date.now() - stored.fetchedAt < maxAge || !navigator.onLine) {
+            return stored.dataUrl;
+        }
+    } else if (!navigator.onLine) {
+        return null;
+    }
+    
+    const dataUrl = await withFaviconSlot(() => fetchFavicon(origin)) || (stored && stored.dataUrl) || null;
+    await writeStoredFavicon({ origin: origin, dataUrl: dataUrl, fetchedAt: Date.now() });
+    return dataUrl;
+}
+
+// Run a favicon fetch once fewer than FAVICON_CONCURRENCY are in flight
+async function withFaviconSlot(task) {
+    if (activeFaviconLoads >= FAVICON_CONCURRENCY) {
+        // The finishing fetch hands its slot over
+        await new Promise(resolve => waitingFaviconLoads.push(resolve));
+    } else {
+        activeFaviconLoads++;
+    }
+    
+    try {
+        return await task();
+    } finally {
+        const next = waitingFaviconLoads.shift();
+        if (next) {
+            next();
+        } else {
+            activeFaviconLoads--;
+        }
+    }
+}
+
+// Find a site's icon: the page's <link rel="icon"> first, then /favicon.ico
+async function fetchFavicon(origin) {
+    const candidates = [];
+    
+    const page = await fetchWithProxyFallback(`${origin}/`);
+    if (page) {
+        try {
+            const doc = new DOMParser().parseFromString(await page.text(), 'text/html');
+            candidates.push(...getIconLinks(doc, page.url && page.url.startsWith(origin) ? page.url : `${origin}/`));
+        } catch (e) {
+            // Not HTML; fall back to /favicon.ico
+        }
+    }
+    candidates.push(`${origin}/favicon.ico`);
+    
+    for (const url of candidates) {
+        const dataUrl = await fetchImageAsDataUrl(url);
+        if (dataUrl) {
+            return dataUrl;
+        }
+    }
+    return null;
+}
+
+// Icon URLs declared by a page, best first: rel="icon" closest to 32px, then apple-touch-icon
+function getIconLinks(doc, baseUrl) {
+    const links = Array.from(doc.querySelectorAll('link[rel][href]'))
+        .map(link => {
+            const rel = link.getAttribute('rel').toLowerCase().split(/\s+/);
+            const size = parseInt((link.getAttribute('sizes') || '').split('x')[0], 10) || 32;
+            let rank;
+            if (rel.includes('icon')) {
+                rank = Math.abs(size - 32);
+            } else if (rel.includes('apple-touch-icon')) {
+                rank = 1000 + size;
+            } else {
+                return null;
+            }
+            try {
+                return { url: new URL(link.getAttribute('href'), baseUrl).href, rank: rank };
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(link => link && /^(https?:|data:image\/)/.test(link.url));
+    
+    return links.sort((a, b) => a.rank - b.rank).map(link => link.url);
+}
+
+// Fetch a URL directly, or through the favicon proxy (if one is set) when the browser blocks the cross-origin request
+// Resolves with the response, or null if the site answered with an error or could not be reached
+async function fetchWithProxyFallback(url) {
+    try {
+        const response = await fetch(url);
+        return response.ok ? response : null;
+    } catch (e) {
+        // Blocked by CORS or unreachable; try the proxy
+    }
+    
+    const proxy = loadSettings().faviconProxy;
+    if (!proxy) return null;
+    try {
+        const response = await fetch(proxy.replace('{url}', encodeURIComponent(url)));
+        return response.ok ? response : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Whether a data URL is a base64 image of a type kept as an icon
+function isSafeFaviconDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([a-z+.\/-]+);base64,[A-Za-z0-9+/]+=*$/);
+    return Boolean(match) && FAVICON_TYPES.includes(match[1]);
+}
+
+// Download an image as a data URL; null if it is missing, too large or not an image
+// A page's own data: URL is decoded and encoded again like any download, never kept as written
+async function fetchImageAsDataUrl(url) {
+    let response = null;
+    if (url.startsWith('data:')) {
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            return null;
+        }
+    } else {
+        response = await fetchWithProxyFallback(url);
+    }
+    if (!response) return null;
+    
+    const blob = await response.blob();
+    let type = blob.type.split(';')[0].trim().toLowerCase();
+    if (type === 'application/octet-stream' && !url.startsWith('data:') && /\.ico$/i.test(new URL(url).pathname)) {
+        type = 'image/x-icon';
+    }
+    if (!FAVICON_TYPES.includes(type) || blob.size === 0 || blob.size > FAVICON_MAX_BYTES) {
+        return null;
+    }
+    
+    const dataUrl = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => resolve(null);
+        reader.readAsDataURL(new Blob([blob], { type: type }));
+    });
+    return isSafeFaviconDataUrl(dataUrl) ? dataUrl : null;
+}
+
+// Open the favicon cache (resolves with null where IndexedDB is unavailable; icons are then cached for the session only)
+function openFaviconDatabase() {
+    if (!faviconDatabase) {
+        faviconDatabase = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(FAVICON_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(FAVICON_STORE, { keyPath: 'origin' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening favicon cache:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return faviconDatabase;
+}
+
+// Read a site's cached icon entry ({ origin, dataUrl, fetchedAt }), or null
+async function readStoredFavicon(origin) {
+    const db = await openFaviconDatabase();
+    if (!db) return null;
+    
+    return new Promise(resolve => {
+        const request = db.transaction(FAVICON_STORE).objectStore(FAVICON_STORE).get(origin);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+// Store a site's icon entry
+async function writeStoredFavicon(entry) {
+    const db = await openFaviconDatabase();
+    if (!db) return;
+    
+    return new Promise(resolve => {
+        const transaction = db.transaction(FAVICON_STORE, 'readwrite');
+        transaction.objectStore(FAVICON_STORE).put(entry);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => {
+            console.error('Error caching favicon:', transaction.error);
+            resolve();
+        };
+    });
+}
+
+// Heat indicator for how much a bookmark is used, by frecency
+// One visit today is warm (✨); hot (🔥) takes frequent recent use
+function getBookmarkIcon(item) {
+    const frecency = getFrecency(item);
+    if (frecency >= 1000) {
+        return '🔥'; // Used many times recently
+    } else if (frecency >= 300) {
+        return '⭐'; // Used often
+    } else if (frecency >= 70) {
+        return '✨'; // Used in the last two weeks
+    } else if (frecency >= 30) {
+        return '📌'; // Used now and then
+    } else {
+        return '🔗'; // Rarely or never used
+    }
+}
+
+// Get items by parent, sorted by order
+function getItemsByParent(parentId) {
+    // Trashed items keep their parent for restoring, but are no longer shown there
+    const items = bookmarks.filter(item => item.parent === parentId && !item.trashedAt);
+    // Sort by order field (if exists), then by creation/access time
+    return items.sort((a, b) => {
+        const aOrder = a.order !== undefined ? a.order : Infinity;
+        const bOrder = b.order !== undefined ? b.order : Infinity;
+        if (aOrder !== bOrder) {
+            return aOrder - bOrder;
+        }
+        // If same order, maintain original order (by index in array)
+        return bookmarks.indexOf(a) - bookmarks.indexOf(b);
+    });
+}
+
+// Ways a folder's contents can be sorted in the panes; 'manual' follows the order field
+const SORT_MODES = {
+    manual: 'Manual order',
+    name: 'A–Z',
+    recent: 'Recently used',
+    added: 'Date added',
+    domain: 'Domain'
+};
+const DEFAULT_FOLDER_SORT = { mode: 'manual', foldersFirst: false };
+
+// Clean up a stored sort preference
+function normalizeFolderSort(sort) {
+    return {
+        mode: sort && SORT_MODES[sort.mode] ? sort.mode : DEFAULT_FOLDER_SORT.mode,
+        foldersFirst: Boolean(sort && sort.foldersFirst)
+    };
+}
+
+function isDefaultFolderSort(sort) {
+    return sort.mode === DEFAULT_FOLDER_SORT.mode && sort.foldersFirst === DEFAULT_FOLDER_SORT.foldersFirst;
+}
+
+// Load the root pane's sort from localStorage
+function loadRootSort() {
+    try {
+        const stored = localStorage.getItem(ROOT_SORT_KEY);
+        rootSort = normalizeFolderSort(stored ? JSON.parse(stored) : null);
+    } catch (e) {
+        console.error('Error loading the root sort from localStorage:', e);
+        rootSort = { ...DEFAULT_FOLDER_SORT };
+    }
+}
+
+// How a folder ('' for the root) is sorted in the panes
+function getFolderSort(parentId) {
+    if (!parentId) {
+        return rootSort || DEFAULT_FOLDER_SORT;
+    }
+    const folder = bookmarks.find(item => item.id === parentId);
+    return folder && folder.sort ? folder.sort : DEFAULT_FOLDER_SORT;
+}
+
+// Change how a folder is sorted; for folders this is an undoable edit
+function setFolderSort(parentId, sort) {
+    if (!parentId) {
+        saveRootSort(sort);
+        renderNavigation();
+        return;
+    }
+    
+    const folder = bookmarks.find(item => item.id === parentId);
+    if (!folder) return;
+    commitChange(`Sort ${describeItems([folder])} by ${SORT_MODES[sort.mode]}`, () => {
+        if (isDefaultFolderSort(sort)) {
+            delete folder.sort;
+        } else {
+            folder.sort = sort;
+        }
+    });
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+}
+
+// Remember how the top level is sorted
+function saveRootSort(sort) {
+    rootSort = sort;
+    try {
+        localStorage.setItem(ROOT_SORT_KEY, JSON.stringify(sort));
+    } catch (e) {
+        console.error('Error saving the root sort to localStorage:', e);
+    }
+}
+
+// Key that puts bookmarks of the same site next to each other: mail.google.com -> com.google.mail
+function getDomainSortKey(item) {
+    if (item.type === 'folder' || !item.url) return '';
+    try {
+        return new URL(item.url).hostname.replace(/^www\./, '').split('.').reverse().join('.');
+    } catch (e) {
+        return '';
+    }
+}
+
+// Sort a folder's items for display; ties (and the manual mode) keep the manual order
+function sortItems(items, sort) {
+    const compareNames = (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true, sensitivity: 'base' });
+    const compare = {
+        manual: () => 0,
+        name: compareNames,
+        // Never-used items and those without a date go last
+        recent: (a, b) => (b.accessTime || 0) - (a.accessTime || 0),
+        added: (a, b) => (b.dateAdded || 0) - (a.dateAdded || 0),
+        // Folders and unreadable URLs come after every domain
+        domain: (a, b) => {
+            const aKey = getDomainSortKey(a);
+            const bKey = getDomainSortKey(b);
+            if (aKey !== bKey) {
+                if (!aKey || !bKey) return aKey ? -1 : 1;
+                return aKey.localeCompare(bKey);
+            }
+            return compareNames(a, b);
+        }
+    }[sort.mode];
+    
+    // Array sort is stable, so equal items stay in the manual order they arrive in
+    return items.slice().sort((a, b) => {
+        if (sort.foldersFirst && (a.type === 'folder') !== (b.type === 'folder')) {
+            return a.type === 'folder' ? -1 : 1;
+        }
+        return compare(a, b);
+    });
+}
+
+// Get items for a parent in the order its pane shows them
+function getSortedItemsByParent(parentId) {
+    return sortItems(getItemsByParent(parentId), getFolderSort(parentId));
+}
+
+// Whether items can be dragged into a new position in a folder (only in the manual order)
+function isManuallySorted(parentId) {
+    return getFolderSort(parentId).mode === 'manual';
+}
+
+// Save a folder's sorted order as its manual order, then switch the folder back to manual sorting
+function applyFolderSortPermanently(parentId) {
+    const sort = getFolderSort(parentId);
+    const folder = bookmarks.find(item => item.id === parentId);
+    const name = folder ? `"${folder.name}"` : 'the top level';
+    if (!confirm(`Make the current order of ${name} its manual order? The items are renumbered in the order shown.`)) {
+        return;
+    }
+    
+    const sorted = getSortedItemsByParent(parentId);
+    const changed = commitChange(`Sort ${folder ? describeItems([folder]) : 'top level'} permanently`, () => {
+        sorted.forEach((item, index) => {
+            item.order = index;
+        });
+        if (folder) {
+            delete folder.sort;
+        }
+    });
+    if (!folder) {
+        // The top level's sort is not part of the bookmarks, so the step carries it for undo and redo
+        if (changed) {
+            undoStack[undoStack.length - 1].rootSort = { before: sort, after: { ...DEFAULT_FOLDER_SORT } };
+            saveHistory();
+        }
+        saveRootSort({ ...DEFAULT_FOLDER_SORT });
+    }
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+    showFileStatus(`Saved the ${SORT_MODES[sort.mode]} order of ${name}`, 'success');
+}
+
+// Fill in the sort menu in a pane's header
+function renderSortMenu(select, parentId) {
+    const sort = getFolderSort(parentId);
+    select.dataset.parentId = parentId;
+    select.innerHTML = `
+        <optgroup label="Sort by">
+            ${Object.entries(SORT_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+        </optgroup>
+        <optgroup label="Options">
+            <option value="foldersFirst">${sort.foldersFirst ? '☑' : '☐'} Folders first</option>
+            ${sort.mode !== 'manual' || sort.foldersFirst ? '<option value="apply">Keep this order as the manual order…</option>' : ''}
+        </optgroup>
+    `;
+    select.value = sort.mode;
+    select.title = `Sorted by ${SORT_MODES[sort.mode]}${sort.foldersFirst ? ', folders first' : ''}`;
+}
+
+// Run a choice from a pane's sort menu
+function handleSortMenuChoice(select) {
+    const parentId = select.dataset.parentId || '';
+    const sort = getFolderSort(parentId);
+    const choice = select.value;
+    if (choice === 'apply') {
+        select.value = sort.mode;
+        applyFolderSortPermanently(parentId);
+    } else if (choice === 'foldersFirst') {
+        setFolderSort(parentId, { mode: sort.mode, foldersFirst: !sort.foldersFirst });
+    } else {
+        setFolderSort(parentId, { mode: choice, foldersFirst: sort.foldersFirst });
+    }
+}
+
+// Render a list in a pane
+// Read-only lists (search results, Most used, smart folders) cannot be rearranged or dropped on,
+// and their folders do not open
+function renderList(level, items, title, readOnly = isShowingResults()) {
+    const pane = getPane(level);
+    let list = document.getElementById(`list${level}`);
+    
+    const paneTitle = pane.querySelector('h2');
+    paneTitle.textContent = title || 'Bookmarks';
+    
+    // Get the parent ID for this level (needed for drop zone)
+    const listParentId = getCurrentParentId(level);
+    
+    // Read-only lists have their own order
+    const sortMenu = pane.querySelector('.pane-sort');
+    sortMenu.style.display = readOnly ? 'none' : '';
+    if (!readOnly) {
+        renderSortMenu(sortMenu, listParentId);
+    }
+    
+    // Clear the list content first
+    list.innerHTML = '';
+    
+    // Setup drop zone after clearing (returns the actual list element, might be a new one)
+    list = setupListDropZone(list, level, listParentId, readOnly);
+    
+    if (!list) {
+        return;
+    }
+    
+    // Smart folders come first in the root pane
+    if (level === 1 && !readOnly) {
+        appendSmartFolders(list);
+    }
+    
+    if (items.length === 0) {
+        const emptyLi = document.createElement('li');
+        emptyLi.className = 'drop-zone-empty';
+        if (searchQuery) {
+            emptyLi.textContent = `No bookmarks found matching "${searchQuery}"`;
+        } else if (mostUsedView) {
+            emptyLi.textContent = 'Bookmarks you open will show up here';
+        } else if (readOnly) {
+            emptyLi.textContent = 'No bookmarks match this smart folder';
+        } else {
+            emptyLi.textContent = 'No items (drop here to add)';
+            emptyLi.dataset.parent = listParentId;
+            setupDropZone(emptyLi, level);
+        }
+        emptyLi.style.padding = '20px';
+        emptyLi.style.color = 'var(--text-faint)';
+        emptyLi.style.textAlign = 'center';
+        list.appendChild(emptyLi);
+        return;
+    }
+    
+    // Render all items
+    items.forEach((item, index) => {
+        const li = document.createElement('li');
+        li.className = `bookmark-item ${item.type}`;
+        li.dataset.id = item.id;
+        // Disable drag and drop in search results and other flat lists
+        li.draggable = !readOnly;
+        
+        if (item.type === 'folder') {
+            // Highlight search query in name if searching
+            let displayName = escapeHtml(item.name);
+            if (searchQuery && searchQuery.length > 0) {
+                displayName = highlightMatches(item.name, searchQuery);
+            }
+            
+            li.innerHTML = `
+                <span class="drag-handle">☰</span>
+                <span class="folder-icon">📁</span>
+                <span class="item-content">${displayName}</span>
+                ${renderTagChips(item.tags)}
+                ${renderNotesToggle(item)}
+                <div class="actions">
+                    <button class="edit-icon-btn" onclick="editItem('${item.id}')" title="Edit">✏️</button>
+                </div>
+            `;
+            // Only allow folder navigation if not searching
+            if (!readOnly) {
+                li.addEventListener('click', (e) => {
+                    if (!e.target.closest('.actions') && !e.target.closest('.drag-handle') && !e.target.closest('.notes-row')) {
+                        navigateToFolder(item, level);
+                    }
+                });
+            }
+        } else {
+            // Favicon, with the access-time emoji as an overlay badge
+            // Highlight search query in name if searching
+            let displayName = escapeHtml(item.name);
+            if (searchQuery && searchQuery.length > 0) {
+                displayName = highlightMatches(item.name, searchQuery);
+            }
+            
+            li.innerHTML = `
+                <span class="drag-handle">☰</span>
+                ${renderFavicon(item)}
+                <a href="${escapeHtml(item.url)}" target="_blank" data-bookmark-id="${item.id}">
+                    <span>${displayName}</span>
+                </a>
+                ${renderHealthBadge(item)}
+                ${renderTagChips(item.tags)}
+                ${renderNotesToggle(item)}
+                <div class="actions">
+                    <button class="edit-icon-btn" onclick="event.stopPropagation(); editItem('${item.id}')" title="Edit">✏️</button>
+                </div>
+            `;
+            
+            // Track access time when bookmark is clicked
+            const bookmarkLink = li.querySelector('a[data-bookmark-id]');
+            if (bookmarkLink) {
+                bookmarkLink.addEventListener('click', () => {
+                    recordBookmarkAccess(item.id);
+                });
+            }
+        }
+        
+        bindTagChips(li);
+        bindNotes(li, item);
+        
+        // Ctrl/Cmd/Shift-click selects instead of opening (capture runs before the link and folder handlers)
+        li.addEventListener('click', (e) => {
+            if (isSelectionClick(e)) {
+                handleSelectionClick(e, item, list);
+            }
+        }, true);
+        if (selectedItems.has(item.id)) {
+            li.classList.add('selected');
+        }
+        
+        // Keep the keyboard selection across re-renders
+        if (keyboardFocus && keyboardFocus.level === level && keyboardFocus.itemId === item.id) {
+            li.classList.add('keyboard-focus');
+        }
+        
+        if (!readOnly) {
+            setupDragAndDrop(li, item, level);
+        }
+        list.appendChild(li);
+    });
+    
+    // Add "+" button at the bottom of the list (only when showing a folder)
+    if (!readOnly) {
+        const addButtonLi = document.createElement('li');
+        addButtonLi.className = 'add-bookmark-button-container';
+        addButtonLi.innerHTML = `
+            <button class="add-bookmark-btn" data-level="${level}" data-parent-id="${listParentId}" title="Add bookmark to this folder">
+                <span class="add-icon">➕</span>
+            </button>
+        `;
+        
+        // Add click handler
+        const addBtn = addButtonLi.querySelector('.add-bookmark-btn');
+        addBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const parentId = addBtn.dataset.parentId || '';
+            openAddBookmarkModal(parentId);
+        });
+        
+        list.appendChild(addButtonLi);
+    }
+    
+    loadFavicons(list);
+}
+
+// Get current parent ID for a level (the folder whose contents its pane shows)
+function getCurrentParentId(level) {
+    if (level === 1) return '';
+    const pane = document.getElementById(`pane${level}`);
+    return pane && pane.dataset.currentFolderId ? pane.dataset.currentFolderId : '';
+}
+
+// Setup drag and drop for an item
+function setupDragAndDrop(element, item, level) {
+    const parentId = getCurrentParentId(level);
+    
+    // Drag start
+    element.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.id);
+        e.dataTransfer.setData('application/json', JSON.stringify({
+            id: item.id,
+            type: item.type,
+            currentParent: item.parent || parentId,
+            ids: getDragGroupIds(item)
+        }));
+        markDraggingGroup(element, item);
+        e.stopPropagation();
+    });
+    
+    // Drag end
+    element.addEventListener('dragend', (e) => {
+        document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        document.querySelectorAll('.drop-zone').forEach(el => el.classList.remove('drop-zone'));
+        document.querySelectorAll('.insert-before').forEach(el => el.classList.remove('insert-before'));
+        document.querySelectorAll('.insert-after').forEach(el => el.classList.remove('insert-after'));
+    });
+    
+    // Make it a drop zone
+    setupDropZone(element, level, item);
+}
+
+// Setup drop zone for list container (allows dropping on empty space in list; none for read-only lists)
+function setupListDropZone(listElement, level, parentId, readOnly = false) {
+    // Store parentId on the element for use in event handlers
+    listElement.dataset.dropParentId = parentId || '';
+    listElement.dataset.dropLevel = level.toString();
+    
+    // Check if listeners are already attached
+    // Only clone if we have existing listeners (to avoid duplicate listeners)
+    // Since we clear the list before calling this, it's safe to clone
+    let actualListElement = listElement;
+    if (listElement.dataset.hasDropListeners === 'true') {
+        // Create a new element without listeners
+        // The list should be empty at this point, so we don't need to preserve content
+        const newListElement = document.createElement('ul');
+        newListElement.className = listElement.className;
+        newListElement.id = listElement.id;
+        newListElement.dataset.dropParentId = parentId || '';
+        newListElement.dataset.dropLevel = level.toString();
+        if (listElement.parentNode) {
+            listElement.parentNode.replaceChild(newListElement, listElement);
+            actualListElement = newListElement;
+        }
+    }
+    // Read-only lists only need the old listeners removed
+    if (readOnly) {
+        actualListElement.dataset.hasDropListeners = 'false';
+        return actualListElement;
+    }
+    actualListElement.dataset.hasDropListeners = 'true';
+    
+    // Use the actual list element for event listeners
+    actualListElement.addEventListener('dragover', (e) => {
+        // Check if we're over a bookmark item - if so, let the item handle it
+        const bookmarkItem = e.target.closest('.bookmark-item');
+        if (bookmarkItem) {
+            return; // Let the item's drop zone handle it
+        }
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        
+        if (!e.dataTransfer.types.includes('application/json')) {
+            return;
+        }
+        
+        // Calculate if we're in the blank space below items
+        const rect = actualListElement.getBoundingClientRect();
+        const y = e.clientY - rect.top;
+        const items = actualListElement.querySelectorAll('.bookmark-item');
+        
+        // Remove all insertion indicators from items
+        document.querySelectorAll('.bookmark-item').forEach(el => {
+            el.classList.remove('insert-before', 'insert-after');
+        });
+        
+        // Check if we're below all items
+        let isBelowAllItems = true;
+        if (items.length > 0) {
+            const lastItem = items[items.length - 1];
+            const lastItemRect = lastItem.getBoundingClientRect();
+            const lastItemBottom = lastItemRect.bottom - rect.top;
+            isBelowAllItems = y > lastItemBottom + 10; // 10px threshold below last item
+        }
+        
+        // Show visual feedback
+        actualListElement.classList.add('drag-over');
+        if (isBelowAllItems) {
+            actualListElement.classList.add('drop-zone-end');
+            // Add indicator to last item if exists
+            if (items.length > 0) {
+                const lastItem = items[items.length - 1];
+                lastItem.classList.add('insert-after');
+            }
+        } else {
+            actualListElement.classList.remove('drop-zone-end');
+        }
+    });
+    
+    actualListElement.addEventListener('dragleave', (e) => {
+        // Only remove if actually leaving the list
+        const rect = actualListElement.getBoundingClientRect();
+        const x = e.clientX;
+        const y = e.clientY;
+        if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+            actualListElement.classList.remove('drag-over', 'drop-zone-end');
+            document.querySelectorAll('.bookmark-item').forEach(el => {
+                el.classList.remove('insert-before', 'insert-after');
+            });
+        }
+    });
+    
+    actualListElement.addEventListener('drop', (e) => {
+        // Check if we're over a bookmark item - if so, let the item handle it
+        const bookmarkItem = e.target.closest('.bookmark-item');
+        if (bookmarkItem) {
+            return; // Let the item's drop zone handle it
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
         actualListElement.classList.remove('drag-over', 'drop-zone-end');
         document.querySelectorAll('.bookmark-item').forEach(el => {
             el.classList.remove('insert-before', 'insert-after');
@@ -737,10 +3869,9 @@ function setupListDropZone(listElement, level, parentId) {
         if (!dragData) return;
         
         try {
-            const draggedItem = JSON.parse(dragData);
-            const draggedItemObj = bookmarks.find(b => b.id === draggedItem.id);
+            const draggedItems = getDraggedItems(JSON.parse(dragData));
             
-            if (!draggedItemObj) return;
+            if (draggedItems.length === 0) return;
             
             // Move to this level's parent
             const newParent = parentId || '';
@@ -757,295 +3888,1169 @@ function setupListDropZone(listElement, level, parentId) {
                 const lastItemBottom = lastItemRect.bottom - rect.top;
                 appendToEnd = y > lastItemBottom + 10;
             } else {
-                appendToEnd = true; // Empty list, always append
+                appendToEnd = true; // Empty list, always append
+            }
+            
+            // Only move if parent is actually different
+            const sameParent = draggedItems.every(draggedItem => (draggedItem.parent || '') === newParent);
+            
+            if (!sameParent || appendToEnd) {
+                // Appends at the end and refreshes the views
+                moveItemsToFolder(draggedItems, newParent);
+            }
+        } catch (e) {
+            console.error('Error handling list drop:', e);
+        }
+    });
+    
+    // Return the actual list element (might be a new one if cloned)
+    return actualListElement;
+}
+
+// Setup drop zone
+function setupDropZone(element, level, item = null) {
+    // For items, use their actual parent. For empty zones, use the parent of the current level
+    // This allows dragging across different levels
+    let parentId = '';
+    if (item) {
+        // Use the item's actual parent (this allows cross-level drops)
+        parentId = item.parent || '';
+    } else {
+        // For empty drop zones, use the parent of the current level
+        parentId = getCurrentParentId(level);
+    }
+    
+    element.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        
+        // Check if we have the right data type
+        if (!e.dataTransfer.types.includes('application/json')) {
+            return;
+        }
+        
+        // Remove all insertion indicators first
+        document.querySelectorAll('.bookmark-item').forEach(el => {
+            el.classList.remove('insert-before', 'insert-after', 'drag-over', 'drop-zone');
+        });
+        
+        if (!item) {
+            // Empty drop zone - allow dropping to move items to this level
+            element.classList.add('drag-over', 'drop-zone');
+            return;
+        }
+        
+        // Calculate position relative to element
+        const rect = element.getBoundingClientRect();
+        const y = e.clientY - rect.top;
+        const height = rect.height;
+        const threshold = height / 3; // Top and bottom third for insertion
+        
+        // If dragging over a folder, show drop-zone (move into folder)
+        // Sorted folders place items themselves, so there is no insertion point either
+        if (item.type === 'folder' || !isManuallySorted(parentId)) {
+            element.classList.add('drag-over', 'drop-zone');
+        } else {
+            // For non-folder items, show insertion indicators
+            if (y < threshold) {
+                // Insert before this item
+                element.classList.add('insert-before', 'drag-over');
+            } else if (y > height - threshold) {
+                // Insert after this item
+                element.classList.add('insert-after', 'drag-over');
+            } else {
+                // Drop on item (reorder to this position)
+                element.classList.add('drag-over', 'drop-zone');
+            }
+        }
+    });
+    
+    element.addEventListener('dragleave', (e) => {
+        // Only remove classes if we're actually leaving the element
+        const rect = element.getBoundingClientRect();
+        const x = e.clientX;
+        const y = e.clientY;
+        if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+            element.classList.remove('drag-over', 'drop-zone', 'insert-before', 'insert-after');
+        }
+    });
+    
+    element.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // Remove all visual indicators
+        element.classList.remove('drag-over', 'drop-zone', 'insert-before', 'insert-after');
+        document.querySelectorAll('.bookmark-item').forEach(el => {
+            el.classList.remove('insert-before', 'insert-after');
+        });
+        
+        const dragData = e.dataTransfer.getData('application/json');
+        if (!dragData) return;
+        
+        try {
+            const draggedItems = getDraggedItems(JSON.parse(dragData));
+            
+            if (draggedItems.length === 0) return;
+            
+            // Don't allow moving to itself
+            if (item && draggedItems.some(draggedItem => draggedItem.id === item.id)) {
+                return;
+            }
+            
+            // Calculate drop position
+            const rect = element.getBoundingClientRect();
+            const y = e.clientY - rect.top;
+            const height = rect.height;
+            const threshold = height / 3;
+            
+            let insertPosition = 'on'; // 'before', 'after', or 'on'
+            if (item && item.type !== 'folder') {
+                if (y < threshold) {
+                    insertPosition = 'before';
+                } else if (y > height - threshold) {
+                    insertPosition = 'after';
+                }
+            }
+            
+            // Determine new parent based on drop target
+            let newParent = '';
+            if (item) {
+                if (item.type === 'folder') {
+                    // Dropping on a folder: move into that folder
+                    newParent = item.id;
+                } else {
+                    // Dropping on a non-folder item: use that item's parent
+                    // This allows dragging from level 2 to level 1 by dropping on a root item
+                    newParent = item.parent || '';
+                }
+            } else {
+                // Dropping on empty space: use the parent of the current level
+                // For level 1, this should be '' (root)
+                newParent = parentId || '';
             }
             
-            // Only move if parent is actually different
-            const sameParent = (draggedItemObj.parent || '') === newParent;
+            // Special case: if dropping on empty space in level 1, ensure it goes to root
+            if (!item && level === 1) {
+                newParent = '';
+            }
             
-            if (!sameParent || appendToEnd) {
-                draggedItemObj.parent = newParent;
-                
-                // Set order to append at end
-                const siblings = getItemsByParent(newParent);
-                draggedItemObj.order = siblings.filter(s => s.id !== draggedItemObj.id).length;
+            // Check if we're reordering within the same parent
+            const sameParent = draggedItems.every(draggedItem => (draggedItem.parent || '') === newParent);
+            
+            // Sorted folders keep their own order
+            if (sameParent && item && item.type !== 'folder' && !isManuallySorted(newParent)) {
+                showFileStatus('This folder is sorted; choose Manual order in its header to rearrange it', 'warning');
+                return;
+            }
+            
+            // If same parent and not dropping on folder and not empty drop zone, reorder items
+            if (sameParent && item && item.type !== 'folder') {
+                commitChange(`Reorder ${describeItems(draggedItems)}`, () => {
+                    reorderBookmarks(draggedItems, item, newParent, insertPosition);
+                });
                 
-                saveBookmarks();
+                // Save navigation state before rendering
                 saveNavigationState();
                 renderNavigation();
                 
+                // If we're in management modal, refresh it too
                 if (document.getElementById('manageModal').classList.contains('active')) {
                     renderBookmarkTree();
                 }
+            } else {
+                // Moving to a different folder or an empty drop zone appends at the end
+                // (this also refuses to move a folder into its own descendants)
+                moveItemsToFolder(draggedItems, newParent);
             }
         } catch (e) {
-            console.error('Error handling list drop:', e);
+            console.error('Error handling drop:', e);
+        }
+    });
+}
+
+// Navigate to a folder
+function navigateToFolder(folder, currentLevel) {
+    // Update current path
+    currentPath = currentPath.slice(0, currentLevel - 1);
+    currentPath.push(folder);
+    openSmartFolderId = null;
+    
+    // Save navigation state
+    saveNavigationState();
+    
+    // Close the panes of folders that were open below this level
+    removePanesAfter(currentLevel);
+    
+    // Show the folder's contents in a new pane
+    const nextLevel = currentLevel + 1;
+    getPane(nextLevel).dataset.currentFolderId = folder.id;
+    renderList(nextLevel, getSortedItemsByParent(folder.id), folder.name);
+    setActivePane(nextLevel);
+    renderBreadcrumb();
+}
+
+// Save navigation state to sessionStorage (and localStorage for new tabs)
+function saveNavigationState() {
+    try {
+        // Save only folder IDs and names for reconstruction
+        const state = {
+            path: currentPath.map(folder => ({
+                id: folder.id,
+                name: folder.name
+            })),
+            smartFolder: openSmartFolderId
+        };
+        // Each tab keeps its own place; the last place in any tab is where new tabs start
+        sessionStorage.setItem(NAVIGATION_STATE_KEY, JSON.stringify(state));
+        localStorage.setItem(NAVIGATION_STATE_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.error('Error saving navigation state:', e);
+    }
+    updateLocationHash();
+}
+
+// Address bar form of the open folder, smart folder and search: #/Work/Oncall?q=tag%3Aoncall
+// Folders that another folder's name would make ambiguous are linked by id instead: #id/<folder id>
+function buildLocationHash() {
+    let hash = '#/' + currentPath.map(folder => encodeURIComponent(folder.name)).join('/');
+    if (currentPath.length > 0) {
+        const byName = findFolderPath(currentPath.map(folder => folder.name));
+        if (byName.length !== currentPath.length || byName.some((folder, i) => folder.id !== currentPath[i].id)) {
+            hash = `#id/${encodeURIComponent(getCurrentFolderId())}`;
+        }
+    }
+    
+    const params = new URLSearchParams();
+    if (openSmartFolderId) {
+        params.set('smart', openSmartFolderId);
+    }
+    const query = document.getElementById('searchInput').value.trim();
+    if (query) {
+        params.set('q', query);
+    }
+    const paramString = params.toString();
+    return paramString ? `${hash}?${paramString}` : hash;
+}
+
+// Read an address bar hash into the folders to open, the smart folder and the search
+// Names and ids that no longer match stop the path at the last folder found
+function parseLocationHash(hash) {
+    const text = hash.replace(/^#/, '');
+    const queryStart = text.indexOf('?');
+    const path = queryStart === -1 ? text : text.slice(0, queryStart);
+    const params = new URLSearchParams(queryStart === -1 ? '' : text.slice(queryStart + 1));
+    
+    let folders = [];
+    try {
+        const idMatch = path.match(/^id\/(.+)$/);
+        if (idMatch) {
+            const liveItems = getLiveItems();
+            const folder = liveItems.find(item => item.id === decodeURIComponent(idMatch[1]) && item.type === 'folder');
+            if (folder) {
+                const itemsById = new Map(liveItems.map(item => [item.id, item]));
+                folders = getAncestors(folder, itemsById).reverse().concat(folder);
+            }
+        } else {
+            folders = findFolderPath(path.split('/').filter(Boolean).map(decodeURIComponent));
+        }
+    } catch (e) {
+        console.error('Error reading folder from the address bar:', e);
+    }
+    
+    return {
+        path: folders.map(folder => ({ id: folder.id, name: folder.name })),
+        smartFolder: params.get('smart'),
+        query: params.get('q') || ''
+    };
+}
+
+// Follow folder names down from the root; an exact name wins over one differing only in case
+// Stops where a name is missing or matches more than one folder
+function findFolderPath(names) {
+    const folders = [];
+    let parentId = '';
+    for (const name of names) {
+        const subfolders = getItemsByParent(parentId).filter(item => item.type === 'folder');
+        let matches = subfolders.filter(folder => folder.name === name);
+        if (matches.length === 0) {
+            matches = subfolders.filter(folder => (folder.name || '').toLowerCase() === name.toLowerCase());
+        }
+        if (matches.length !== 1) break;
+        folders.push(matches[0]);
+        parentId = matches[0].id;
+    }
+    return folders;
+}
+
+// Write the current place into the address bar
+// Moving to another folder adds a history entry for the back button; typing a search only replaces the entry
+function updateLocationHash(replace = false) {
+    if (applyingLocationHash) return;
+    const hash = buildLocationHash();
+    if (hash === location.hash) return;
+    
+    const withoutSearch = (value) => value.replace(/([?&])q=[^&]*&?/, '$1').replace(/[?&]$/, '');
+    if (replace || withoutSearch(hash) === withoutSearch(location.hash)) {
+        location.replace(hash);
+    } else {
+        location.hash = hash;
+    }
+}
+
+// Show the place in the address bar (after back/forward, an edited URL or an opened link)
+function applyLocationHash() {
+    if (location.hash === buildLocationHash()) return;
+    const state = parseLocationHash(location.hash);
+    
+    applyingLocationHash = true;
+    try {
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = state.query;
+        searchQuery = state.query.toLowerCase();
+        document.getElementById('clearSearchBtn').style.display = searchQuery ? 'block' : 'none';
+        document.getElementById('saveSearchBtn').style.display = searchQuery ? 'block' : 'none';
+        updateSearchFeedback();
+        hideSearchSuggestions();
+        
+        mostUsedView = false;
+        keyboardFocus = null;
+        openSmartFolderId = smartFolders.some(folder => folder.id === state.smartFolder) ? state.smartFolder : null;
+        currentPath = [];
+        renderNavigation();
+        
+        // Open the folders one level at a time, as clicking through them would
+        if (isShowingResults()) {
+            currentPath = state.path;
+        } else {
+            state.path.forEach((folder, index) => navigateToFolder(folder, index + 1));
+        }
+    } finally {
+        applyingLocationHash = false;
+    }
+    
+    // Tidy the address bar (exact folder names, without parts that did not match), then store the place
+    updateLocationHash(true);
+    saveNavigationState();
+}
+
+// Restore navigation state for this tab
+function restoreNavigationState() {
+    try {
+        const stored = sessionStorage.getItem(NAVIGATION_STATE_KEY) || localStorage.getItem(NAVIGATION_STATE_KEY);
+        if (stored) {
+            const state = JSON.parse(stored);
+            if (state.path && Array.isArray(state.path)) {
+                // Reconstruct folder objects from stored IDs
+                const liveItems = getLiveItems();
+                currentPath = state.path.map(folderData => {
+                    const folder = liveItems.find(b => b.id === folderData.id && b.type === 'folder');
+                    if (folder) {
+                        return {
+                            id: folder.id,
+                            name: folder.name || folderData.name
+                        };
+                    }
+                    return null;
+                }).filter(f => f !== null); // Remove any folders that no longer exist
+            }
+            openSmartFolderId = state.smartFolder || null;
+        }
+    } catch (e) {
+        console.error('Error restoring navigation state:', e);
+        currentPath = [];
+    }
+}
+
+// Open the management modal
+function openManageModal() {
+    document.getElementById('manageModal').classList.add('active');
+    renderBookmarkTree();
+}
+
+// Open the settings modal with the current settings filled in
+function openSettingsModal() {
+    const settings = loadSettings();
+    document.getElementById('fontSize').value = settings.fontSize;
+    document.getElementById('itemGap').value = settings.itemGap;
+    document.getElementById('linkCheckEndpoint').value = settings.linkCheckEndpoint;
+    document.getElementById('linkCheckConcurrency').value = settings.linkCheckConcurrency;
+    document.getElementById('faviconProxy').value = settings.faviconProxy;
+    document.getElementById('trashRetentionDays').value = settings.trashRetentionDays;
+    // Palettes are copied so that edits can be previewed and then dropped on cancel
+    themeDraft = {
+        theme: settings.theme,
+        palettes: settings.palettes.map(palette => ({ ...palette, colors: { ...palette.colors } }))
+    };
+    renderThemeSettings();
+    document.getElementById('settingsModal').classList.add('active');
+}
+
+// Close the settings modal, dropping a theme that was previewed but not saved
+function closeSettingsModal() {
+    document.getElementById('settingsModal').classList.remove('active');
+    themeDraft = null;
+    applySettings();
+}
+
+// Fill in the theme choice and, for a custom palette, its colour editor
+function renderThemeSettings() {
+    const select = document.getElementById('theme');
+    const builtIn = Object.entries(BUILT_IN_THEMES).map(([value, label]) => `<option value="${value}">${label}</option>`);
+    const custom = themeDraft.palettes.map(palette => `<option value="${escapeHtml(palette.id)}">${escapeHtml(palette.name)}</option>`);
+    select.innerHTML = builtIn.join('') +
+        (custom.length > 0 ? `<optgroup label="Custom palettes">${custom.join('')}</optgroup>` : '');
+    select.value = themeDraft.theme;
+    
+    const palette = themeDraft.palettes.find(p => p.id === themeDraft.theme);
+    const container = document.getElementById('themeColors');
+    document.getElementById('deletePaletteBtn').style.display = palette ? '' : 'none';
+    if (!palette) {
+        container.innerHTML = '<small>Choose New Palette to make your own colours from the theme shown.</small>';
+        return;
+    }
+    
+    const shown = getShownThemeColors();
+    container.innerHTML = `
+        <label class="theme-color theme-palette-name">
+            <span>Name</span>
+            <input type="text" data-palette-name value="${escapeHtml(palette.name)}">
+        </label>
+        ${THEME_COLORS.map(color => `
+            <label class="theme-color">
+                <span>${color.label}</span>
+                <input type="color" data-color-key="${color.key}" value="${escapeHtml(palette.colors[color.key] || shown[color.key])}">
+            </label>
+        `).join('')}
+    `;
+}
+
+// Show the theme being edited without saving it
+function previewTheme() {
+    applyTheme(themeDraft.theme, themeDraft.palettes);
+}
+
+// Start a custom palette from the colours shown now
+function createPalette() {
+    const name = prompt('Name for the new palette:', 'My palette');
+    if (name === null || !name.trim()) return;
+    const palette = validatePalette({
+        name: name,
+        base: document.documentElement.dataset.theme,
+        colors: getShownThemeColors()
+    });
+    themeDraft.palettes.push(palette);
+    themeDraft.theme = palette.id;
+    previewTheme();
+    renderThemeSettings();
+}
+
+// Remove the custom palette being edited and go back to the light theme
+function deleteSelectedPalette() {
+    const palette = themeDraft.palettes.find(p => p.id === themeDraft.theme);
+    if (!palette || !confirm(`Delete the palette "${palette.name}"?`)) return;
+    themeDraft.palettes = themeDraft.palettes.filter(p => p !== palette);
+    themeDraft.theme = DEFAULT_SETTINGS.theme;
+    previewTheme();
+    renderThemeSettings();
+}
+
+// Download the theme shown as a palette file
+function exportSelectedPalette() {
+    const palette = themeDraft.palettes.find(p => p.id === themeDraft.theme);
+    const name = palette ? palette.name : BUILT_IN_THEMES[themeDraft.theme].replace(/ \(.*\)$/, '');
+    const data = {
+        format: PALETTE_FILE_FORMAT,
+        version: 1,
+        name: name,
+        base: document.documentElement.dataset.theme === 'dark' ? 'dark' : 'light',
+        colors: getShownThemeColors()
+    };
+    const safeName = name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'palette';
+    downloadFile(JSON.stringify(data, null, 2), `${safeName}.palette.json`, 'application/json');
+}
+
+// Add a palette from an exported palette file and preview it
+async function importPaletteFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+    
+    let palette = null;
+    try {
+        const data = JSON.parse(await file.text());
+        if (data && data.format === PALETTE_FILE_FORMAT) {
+            palette = validatePalette({ ...data, id: generateItemId() });
+        }
+    } catch (e) {
+        console.error('Error reading palette file:', e);
+    }
+    if (!palette || Object.keys(palette.colors).length === 0) {
+        alert('This file is not a palette exported from this page.');
+        return;
+    }
+    
+    themeDraft.palettes.push(palette);
+    themeDraft.theme = palette.id;
+    previewTheme();
+    renderThemeSettings();
+}
+
+// Id of the folder shown in the deepest open pane ('' for the root)
+function getCurrentFolderId() {
+    return currentPath.length > 0 ? currentPath[currentPath.length - 1].id : '';
+}
+
+// Show a folder in the panes, opening every folder above it
+function openFolderById(folderId) {
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    const folder = itemsById.get(folderId);
+    
+    currentPath = [];
+    if (folder && folder.type === 'folder') {
+        currentPath = getAncestors(folder, itemsById).reverse().concat(folder).map(f => ({ id: f.id, name: f.name }));
+    }
+    
+    // Leave search, Most used and smart folders so the folder is visible
+    mostUsedView = false;
+    openSmartFolderId = null;
+    const searchInput = document.getElementById('searchInput');
+    searchInput.value = '';
+    searchQuery = '';
+    document.getElementById('clearSearchBtn').style.display = 'none';
+    document.getElementById('saveSearchBtn').style.display = 'none';
+    updateSearchFeedback();
+    
+    saveNavigationState();
+    renderNavigation();
+}
+
+// Move items to the end of another folder, as one undoable step
+function moveItemsToFolder(items, folderId) {
+    if (items.some(item => item.id === folderId || isDescendant(folderId, item.id))) {
+        alert('Cannot move a folder into itself or its descendants');
+        return;
+    }
+    
+    commitChange(`Move ${describeItems(items)}`, () => {
+        const movedIds = new Set(items.map(item => item.id));
+        let order = getItemsByParent(folderId).filter(s => !movedIds.has(s.id)).length;
+        items.forEach(item => {
+            item.parent = folderId;
+            item.order = order++;
+        });
+    });
+    
+    saveNavigationState();
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+}
+
+// Whether a click should change the selection rather than open the item
+// Only the user's own clicks count: keyboard activation sends a synthetic Ctrl-click to open a background tab
+function isSelectionClick(e) {
+    return e.isTrusted && (e.ctrlKey || e.metaKey || e.shiftKey);
+}
+
+// Ctrl/Cmd-click toggles an item; Shift-click selects the range from the last clicked item in the same list
+// container is the pane list or the manage tree the item is shown in
+function handleSelectionClick(e, item, container) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const anchor = selectionAnchor && selectionAnchor.containerId === container.id ? selectionAnchor.itemId : null;
+    if (e.shiftKey && anchor) {
+        const ids = Array.from(container.querySelectorAll(':scope > [data-id]')).map(el => el.dataset.id);
+        const start = ids.indexOf(anchor);
+        const end = ids.indexOf(item.id);
+        if (start !== -1 && end !== -1) {
+            // Shift alone replaces the selection; with Ctrl/Cmd it extends it
+            if (!e.ctrlKey && !e.metaKey) {
+                selectedItems.clear();
+            }
+            ids.slice(Math.min(start, end), Math.max(start, end) + 1).forEach(id => selectedItems.add(id));
+            updateSelectionView();
+            return;
+        }
+    }
+    
+    if (selectedItems.has(item.id)) {
+        selectedItems.delete(item.id);
+    } else {
+        selectedItems.add(item.id);
+    }
+    selectionAnchor = { containerId: container.id, itemId: item.id };
+    updateSelectionView();
+}
+
+// Clear the ctrl/shift-click selection
+function clearSelection() {
+    selectedItems.clear();
+    selectionAnchor = null;
+    updateSelectionView();
+}
+
+// Selected items in tree order, leaving out items inside a selected folder (they go along with it)
+function getSelectedItems() {
+    const result = [];
+    function collect(parentId) {
+        getItemsByParent(parentId).forEach(item => {
+            if (selectedItems.has(item.id)) {
+                result.push(item);
+            } else if (item.type === 'folder') {
+                collect(item.id);
+            }
+        });
+    }
+    collect('');
+    return result;
+}
+
+// Show which items are selected and update the bulk action bar
+function updateSelectionView() {
+    // Forget items that no longer exist or were trashed
+    const liveIds = new Set(getLiveItems().map(item => item.id));
+    selectedItems.forEach(id => {
+        if (!liveIds.has(id)) {
+            selectedItems.delete(id);
         }
     });
     
-    // Return the actual list element (might be a new one if cloned)
-    return actualListElement;
+    document.querySelectorAll('.bookmark-item[data-id], .tree-item[data-id]').forEach(el => {
+        el.classList.toggle('selected', selectedItems.has(el.dataset.id));
+    });
+    
+    const bar = document.getElementById('selectionBar');
+    const count = getSelectedItems().length;
+    bar.classList.toggle('active', count > 0);
+    document.getElementById('selectionCount').textContent = `${count} selected`;
+}
+
+// Short description of a group of items for undo labels and confirmations
+function describeItems(items) {
+    return items.length === 1 ? `"${items[0].name}"` : `${items.length} items`;
+}
+
+// Ids to drag when dragging an item: the whole selection if the item is part of it
+function getDragGroupIds(item) {
+    if (!selectedItems.has(item.id)) {
+        return [item.id];
+    }
+    return getSelectedItems().map(selected => selected.id);
+}
+
+// Show every element of the dragged group as being dragged
+function markDraggingGroup(element, item) {
+    element.classList.add('dragging');
+    if (selectedItems.has(item.id)) {
+        document.querySelectorAll('.bookmark-item.selected, .tree-item.selected').forEach(el => el.classList.add('dragging'));
+    }
+}
+
+// Items named by drag data (older drag data carries a single id)
+function getDraggedItems(dragInfo) {
+    const ids = Array.isArray(dragInfo.ids) ? dragInfo.ids : [dragInfo.id];
+    return ids.map(id => bookmarks.find(b => b.id === id)).filter(Boolean);
+}
+
+// Move the selection to a folder chosen in the command palette
+function moveSelectedItems() {
+    openCommandPalette();
+    setPaletteMode('move');
+}
+
+// Delete the selected items (and everything inside selected folders) as one undoable step
+function deleteSelectedItems() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    const hasFolders = items.some(item => item.type === 'folder');
+    const message = `Move ${describeItems(items)} to the trash?` +
+        (hasFolders ? ' Selected folders go with everything inside them.' : '');
+    if (!confirm(message)) return;
+    
+    if (items.some(item => getItemsByParent(item.id).length > 0)) {
+        takeSnapshot('delete');
+    }
+    trashItems(items, `Delete ${describeItems(items)}`);
+    
+    clearSelection();
+    saveNavigationState();
+    renderNavigation();
+    renderBookmarkTree();
+}
+
+// Add (or, with a leading "-", remove) tags on every selected item
+function tagSelectedItems() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    const input = prompt(`Tags for ${describeItems(items)} (comma-separated, prefix with "-" to remove):`);
+    if (input === null) return;
+    
+    const entries = input.split(',').map(entry => entry.trim()).filter(entry => entry);
+    const added = normalizeTags(entries.filter(entry => !entry.startsWith('-')));
+    const removed = normalizeTags(entries.filter(entry => entry.startsWith('-')).map(entry => entry.slice(1)));
+    if (added.length === 0 && removed.length === 0) return;
+    
+    commitChange(`Tag ${describeItems(items)}`, () => {
+        items.forEach(item => {
+            const tags = normalizeTags((item.tags || []).concat(added)).filter(tag => !removed.includes(tag));
+            if (tags.length > 0) {
+                item.tags = tags;
+            } else {
+                delete item.tags;
+            }
+        });
+    });
+    
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+}
+
+// Sort the selected items by name within each folder, in the positions they already occupy
+function sortSelectedItems() {
+    const items = getSelectedItems();
+    if (items.length < 2) return;
+    
+    commitChange(`Sort ${describeItems(items)}`, () => {
+        const parentIds = new Set(items.map(item => item.parent || ''));
+        parentIds.forEach(parentId => {
+            const siblings = getItemsByParent(parentId);
+            const sorted = siblings
+                .filter(sibling => selectedItems.has(sibling.id))
+                .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+            
+            // Selected siblings are refilled in name order; the others keep their places
+            let next = 0;
+            siblings.forEach((sibling, index) => {
+                const placed = selectedItems.has(sibling.id) ? sorted[next++] : sibling;
+                placed.order = index;
+            });
+        });
+    });
+    
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+}
+
+// Open every selected bookmark, including the bookmarks inside selected folders, in new tabs
+function openSelectedItems() {
+    const urls = [];
+    function collect(item) {
+        if (item.type === 'folder') {
+            getItemsByParent(item.id).forEach(collect);
+        } else if (item.url) {
+            urls.push(item);
+        }
+    }
+    getSelectedItems().forEach(collect);
+    
+    if (urls.length === 0) {
+        alert('The selection contains no bookmarks');
+        return;
+    }
+    if (urls.length > 10 && !confirm(`Open ${urls.length} bookmarks in new tabs?`)) {
+        return;
+    }
+    
+    urls.forEach(bookmark => {
+        window.open(bookmark.url, '_blank');
+        recordBookmarkAccess(bookmark.id);
+    });
 }
 
-// Setup drop zone
-function setupDropZone(element, level, item = null) {
-    // For items, use their actual parent. For empty zones, use the parent of the current level
-    // This allows dragging across different levels
-    let parentId = '';
-    if (item) {
-        // Use the item's actual parent (this allows cross-level drops)
-        parentId = item.parent || '';
-    } else {
-        // For empty drop zones, use the parent of the current level
-        parentId = getCurrentParentId(level);
+// Open the command palette
+function openCommandPalette() {
+    // Close any other modal so the palette is the only one open (settings also drop a theme preview)
+    if (themeDraft) closeSettingsModal();
+    document.querySelectorAll('.modal.active').forEach(modal => modal.classList.remove('active'));
+    document.getElementById('paletteModal').classList.add('active');
+    setPaletteMode('commands');
+}
+
+// Close the command palette
+function closeCommandPalette() {
+    document.getElementById('paletteModal').classList.remove('active');
+}
+
+// Switch between the command list and the folder pickers ("jump" and "move")
+function setPaletteMode(mode) {
+    paletteMode = mode;
+    const input = document.getElementById('paletteInput');
+    const placeholders = {
+        commands: 'Type a command or search bookmarks...',
+        jump: 'Jump to folder...',
+        move: 'Move selected items to folder...'
+    };
+    input.placeholder = placeholders[mode];
+    input.value = '';
+    input.focus();
+    renderCommandPalette();
+}
+
+// App actions offered by the palette
+function getPaletteCommands() {
+    const selected = getKeyboardFocusedItem();
+    const commands = [
+        { icon: '➕', label: 'Add bookmark here', run: () => openAddBookmarkModal(getCurrentFolderId()) },
+        { icon: '📁', label: 'Add folder here', run: () => openAddFolderModal(getCurrentFolderId()) },
+        { icon: '↪️', label: 'Jump to folder…', keepOpen: true, run: () => setPaletteMode('jump') },
+        { icon: '⬇️', label: 'Export bookmarks (JSON)', run: exportBookmarks },
+        { icon: '⬇️', label: 'Export bookmarks (HTML)', run: exportBookmarksHtml },
+        { icon: '⬆️', label: 'Import bookmarks', run: () => document.getElementById('fileInput').click() },
+        { icon: '⚙️', label: 'Open settings', run: openSettingsModal },
+        { icon: '🗂️', label: 'Manage bookmarks', run: openManageModal },
+        { icon: '👯', label: 'Find duplicates', run: openDuplicatesModal },
+        { icon: '🩺', label: 'Check links', run: () => checkLinks() },
+        { icon: '💔', label: 'Show broken links', run: openLinkReport },
+        { icon: '🗑️', label: 'Open trash', run: openTrashModal },
+        { icon: '🔥', label: mostUsedView ? 'Show folders' : 'Show most used bookmarks', run: toggleMostUsedView }
+    ];
+    
+    if (searchQuery) {
+        commands.push({ icon: '🔍', label: 'Save search as smart folder', run: saveSearchAsSmartFolder });
     }
     
-    element.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
-        
-        // Check if we have the right data type
-        if (!e.dataTransfer.types.includes('application/json')) {
-            return;
-        }
-        
-        // Remove all insertion indicators first
-        document.querySelectorAll('.bookmark-item').forEach(el => {
-            el.classList.remove('insert-before', 'insert-after', 'drag-over', 'drop-zone');
-        });
-        
-        if (!item) {
-            // Empty drop zone - allow dropping to move items to this level
-            element.classList.add('drag-over', 'drop-zone');
-            return;
-        }
-        
-        // Calculate position relative to element
-        const rect = element.getBoundingClientRect();
-        const y = e.clientY - rect.top;
-        const height = rect.height;
-        const threshold = height / 3; // Top and bottom third for insertion
-        
-        // If dragging over a folder, show drop-zone (move into folder)
-        if (item.type === 'folder') {
-            element.classList.add('drag-over', 'drop-zone');
-        } else {
-            // For non-folder items, show insertion indicators
-            if (y < threshold) {
-                // Insert before this item
-                element.classList.add('insert-before', 'drag-over');
-            } else if (y > height - threshold) {
-                // Insert after this item
-                element.classList.add('insert-after', 'drag-over');
-            } else {
-                // Drop on item (reorder to this position)
-                element.classList.add('drag-over', 'drop-zone');
+    if (undoStack.length > 0) {
+        commands.push({ icon: '↶', label: `Undo ${undoStack[undoStack.length - 1].label}`, run: undo });
+    }
+    if (redoStack.length > 0) {
+        commands.push({ icon: '↷', label: `Redo ${redoStack[redoStack.length - 1].label}`, run: redo });
+    }
+    
+    // Bulk actions on the ctrl/shift-click selection take precedence over the keyboard selection
+    if (selectedItems.size > 0) {
+        const count = getSelectedItems().length;
+        const noun = count === 1 ? 'item' : 'items';
+        commands.push(
+            { icon: '📦', label: `Move ${count} selected ${noun} to…`, keepOpen: true, run: () => setPaletteMode('move') },
+            { icon: '🏷️', label: `Tag ${count} selected ${noun}`, run: tagSelectedItems },
+            { icon: '🔤', label: `Sort ${count} selected ${noun} by name`, run: sortSelectedItems },
+            { icon: '🔗', label: `Open ${count} selected ${noun}`, run: openSelectedItems },
+            { icon: '🗑️', label: `Delete ${count} selected ${noun}`, run: deleteSelectedItems },
+            { icon: '✖️', label: 'Clear selection', run: clearSelection }
+        );
+    } else if (selected) {
+        // Actions on the item selected in the panes
+        commands.push(
+            { icon: '✏️', label: `Edit "${selected.name}"`, run: () => editItem(selected.id) },
+            { icon: '📦', label: `Move "${selected.name}" to…`, keepOpen: true, run: () => setPaletteMode('move') },
+            { icon: '🗑️', label: `Delete "${selected.name}"`, run: () => deleteItem(selected.id) }
+        );
+    }
+    
+    return commands;
+}
+
+// Folders offered by the jump/move pickers, labelled with their full path
+function getPaletteFolderEntries() {
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    const keyboardSelected = getKeyboardFocusedItem();
+    const moving = selectedItems.size > 0 ? getSelectedItems() : (keyboardSelected ? [keyboardSelected] : []);
+    const entries = [];
+    
+    const choose = (folderId) => {
+        if (paletteMode === 'move') {
+            if (moving.length > 0) {
+                moveItemsToFolder(moving, folderId);
             }
+        } else {
+            openFolderById(folderId);
         }
-    });
+    };
     
-    element.addEventListener('dragleave', (e) => {
-        // Only remove classes if we're actually leaving the element
-        const rect = element.getBoundingClientRect();
-        const x = e.clientX;
-        const y = e.clientY;
-        if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
-            element.classList.remove('drag-over', 'drop-zone', 'insert-before', 'insert-after');
+    entries.push({ icon: '🏠', label: 'Root', run: () => choose('') });
+    getLiveItems().filter(item => item.type === 'folder').forEach(folder => {
+        // A folder cannot be moved into itself or its descendants
+        if (paletteMode === 'move' && moving.some(item => folder.id === item.id || isDescendant(folder.id, item.id))) {
+            return;
         }
+        const path = getAncestors(folder, itemsById).reverse().concat(folder).map(f => f.name).join(' / ');
+        entries.push({ icon: '📁', label: path, run: () => choose(folder.id) });
     });
     
-    element.addEventListener('drop', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        // Remove all visual indicators
-        element.classList.remove('drag-over', 'drop-zone', 'insert-before', 'insert-after');
-        document.querySelectorAll('.bookmark-item').forEach(el => {
-            el.classList.remove('insert-before', 'insert-after');
-        });
-        
-        const dragData = e.dataTransfer.getData('application/json');
-        if (!dragData) return;
+    return entries;
+}
+
+// Filter and rank entries by how well their label matches the query
+function rankPaletteEntries(entries, query) {
+    if (!query) return entries;
+    
+    return entries
+        .map(entry => ({ entry: entry, match: fuzzyMatch(query, entry.label.toLowerCase()) }))
+        .filter(result => result.match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(result => result.entry);
+}
+
+// Render the palette entries for the current mode and query
+function renderCommandPalette() {
+    const query = document.getElementById('paletteInput').value.trim().toLowerCase();
+    
+    if (paletteMode === 'commands') {
+        const commands = rankPaletteEntries(getPaletteCommands(), query);
         
-        try {
-            const draggedItem = JSON.parse(dragData);
-            const draggedItemObj = bookmarks.find(b => b.id === draggedItem.id);
-            
-            if (!draggedItemObj) return;
-            
-            // Don't allow moving to itself
-            if (item && item.id === draggedItemObj.id) {
-                return;
-            }
-            
-            // Calculate drop position
-            const rect = element.getBoundingClientRect();
-            const y = e.clientY - rect.top;
-            const height = rect.height;
-            const threshold = height / 3;
-            
-            let insertPosition = 'on'; // 'before', 'after', or 'on'
-            if (item && item.type !== 'folder') {
-                if (y < threshold) {
-                    insertPosition = 'before';
-                } else if (y > height - threshold) {
-                    insertPosition = 'after';
-                }
-            }
-            
-            // Determine new parent based on drop target
-            let newParent = '';
-            if (item) {
-                if (item.type === 'folder') {
-                    // Dropping on a folder: move into that folder
-                    newParent = item.id;
-                } else {
-                    // Dropping on a non-folder item: use that item's parent
-                    // This allows dragging from level 2 to level 1 by dropping on a root item
-                    newParent = item.parent || '';
-                }
-            } else {
-                // Dropping on empty space: use the parent of the current level
-                // For level 1, this should be '' (root)
-                newParent = parentId || '';
-            }
-            
-            // Special case: if dropping on empty space in level 1, ensure it goes to root
-            if (!item && level === 1) {
-                newParent = '';
-            }
-            
-            // Check if we're reordering within the same parent
-            const sameParent = (draggedItemObj.parent || '') === newParent;
-            
-            // Don't allow moving to descendants
-            if (item && item.type === 'folder' && isDescendant(item.id, draggedItemObj.id)) {
-                alert('Cannot move a folder into itself or its descendants');
-                return;
+        // Bookmarks use the same ranking as the search box
+        const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+        const items = query ? searchBookmarks(query).slice(0, 30) : [];
+        const itemEntries = items.map(item => {
+            const path = getAncestors(item, itemsById).reverse().map(f => f.name).join(' / ');
+            if (item.type === 'folder') {
+                return { icon: '📁', label: item.name, hint: path, run: () => openFolderById(item.id) };
             }
-            
-            // If same parent and not dropping on folder and not empty drop zone, reorder items
-            if (sameParent && item && item.type !== 'folder') {
-                reorderBookmark(draggedItemObj, item, newParent, insertPosition);
-            } else {
-                // Update parent (moving to different folder or empty drop zone)
-                draggedItemObj.parent = newParent;
-                // Reset order when moving to new parent
-                draggedItemObj.order = undefined;
-                // If moving to a new parent, set order to append at end
-                if (!sameParent) {
-                    const siblings = getItemsByParent(newParent);
-                    draggedItemObj.order = siblings.filter(s => s.id !== draggedItemObj.id).length;
+            return {
+                icon: getBookmarkIcon(item),
+                label: item.name,
+                hint: path || item.url,
+                run: () => {
+                    window.open(item.url, '_blank');
+                    recordBookmarkAccess(item.id);
                 }
+            };
+        });
+        
+        paletteEntries = commands.concat(itemEntries);
+    } else {
+        paletteEntries = rankPaletteEntries(getPaletteFolderEntries(), query).slice(0, 50);
+    }
+    
+    activePaletteIndex = 0;
+    
+    const list = document.getElementById('paletteResults');
+    list.innerHTML = '';
+    if (paletteEntries.length === 0) {
+        list.innerHTML = '<li class="palette-empty">No matching commands or bookmarks</li>';
+        return;
+    }
+    
+    paletteEntries.forEach((entry, index) => {
+        const li = document.createElement('li');
+        li.className = 'palette-entry';
+        li.innerHTML = `
+            <span class="palette-icon">${entry.icon}</span>
+            <span class="palette-label">${escapeHtml(entry.label)}</span>
+            ${entry.hint ? `<span class="palette-hint">${escapeHtml(entry.hint)}</span>` : ''}
+        `;
+        li.addEventListener('click', () => runPaletteEntry(entry));
+        li.addEventListener('mousemove', () => {
+            if (activePaletteIndex !== index) {
+                activePaletteIndex = index;
+                updateActivePaletteEntry();
             }
-            
-            saveBookmarks();
-            // Save navigation state before rendering
-            saveNavigationState();
-            renderNavigation();
-            
-            // If we're in management modal, refresh it too
-            if (document.getElementById('manageModal').classList.contains('active')) {
-                renderBookmarkTree();
-            }
-        } catch (e) {
-            console.error('Error handling drop:', e);
-        }
+        });
+        list.appendChild(li);
     });
+    updateActivePaletteEntry();
 }
 
-// Navigate to a folder
-function navigateToFolder(folder, currentLevel) {
-    if (currentLevel >= MAX_LEVELS) {
-        alert(`Maximum depth of ${MAX_LEVELS} levels reached`);
-        return;
+// Highlight the active palette entry and keep it in view
+function updateActivePaletteEntry() {
+    const entries = document.querySelectorAll('#paletteResults .palette-entry');
+    entries.forEach((el, index) => {
+        el.classList.toggle('active', index === activePaletteIndex);
+    });
+    if (entries[activePaletteIndex]) {
+        entries[activePaletteIndex].scrollIntoView({ block: 'nearest' });
     }
+}
+
+// Run a palette entry, closing the palette unless the entry opens a sub-list
+function runPaletteEntry(entry) {
+    if (!entry) return;
+    if (!entry.keepOpen) {
+        closeCommandPalette();
+    }
+    entry.run();
+}
+
+// Handle keyboard navigation: "/" search, arrows move, Enter opens, Ctrl+Enter opens in background, "e" edits
+function handleNavigationKeydown(e) {
+    if (e.defaultPrevented || e.altKey) return;
+    // Modals handle their own keys
+    if (document.querySelector('.modal.active')) return;
     
-    // Update current path
-    currentPath = currentPath.slice(0, currentLevel - 1);
-    currentPath.push(folder);
-    
-    // Save navigation state
-    saveNavigationState();
-    
-    // Hide panes beyond current level
-    for (let i = currentLevel + 1; i <= MAX_LEVELS; i++) {
-        const pane = document.getElementById(`pane${i}`);
-        if (pane) {
-            pane.style.display = 'none';
-            pane.classList.remove('active');
-            pane.dataset.currentFolderId = '';
+    const target = e.target;
+    const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
+    if (isTyping) {
+        // Leave the search box for the results with ↓ or Escape
+        if (target.id === 'searchInput' && (e.key === 'ArrowDown' || e.key === 'Escape')) {
+            e.preventDefault();
+            target.blur();
+            if (e.key === 'ArrowDown') {
+                moveKeyboardFocus(0);
+            }
         }
+        return;
     }
+    // Buttons and links keep Enter and the arrow keys for themselves
+    const isControl = target && target.closest && target.closest('button, a, [role="button"]');
+    if (isControl && (e.key === 'Enter' || e.key.startsWith('Arrow'))) return;
     
-    // Show next pane
-    const nextLevel = currentLevel + 1;
-    const nextPane = document.getElementById(`pane${nextLevel}`);
-    if (!nextPane) {
-        alert(`Cannot navigate deeper than ${MAX_LEVELS} levels`);
+    const hasModifier = e.ctrlKey || e.metaKey;
+    
+    if (e.key === '/' && !hasModifier) {
+        e.preventDefault();
+        const searchInput = document.getElementById('searchInput');
+        searchInput.focus();
+        searchInput.select();
         return;
     }
     
-    const children = getItemsByParent(folder.id);
-    nextPane.dataset.currentFolderId = folder.id;
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            moveKeyboardFocus(1);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            moveKeyboardFocus(-1);
+            break;
+        case 'ArrowRight':
+            e.preventDefault();
+            openKeyboardFocusedFolder();
+            break;
+        case 'ArrowLeft':
+            e.preventDefault();
+            leaveKeyboardFocusedPane();
+            break;
+        case 'Enter':
+            if (keyboardFocus) {
+                e.preventDefault();
+                activateKeyboardFocusedItem(hasModifier);
+            }
+            break;
+        case 'e':
+            if (!hasModifier && keyboardFocus) {
+                e.preventDefault();
+                editItem(keyboardFocus.itemId);
+            }
+            break;
+        case 'Escape':
+            if (selectedItems.size > 0) {
+                e.preventDefault();
+                clearSelection();
+            }
+            break;
+    }
+}
+
+// Level of the pane the keyboard works in when nothing is selected yet (the deepest open pane)
+function getDeepestPaneLevel() {
+    return isShowingResults() ? 1 : currentPath.length + 1;
+}
+
+// Item elements shown in a pane, in display order
+function getPaneItemElements(level) {
+    const list = document.getElementById(`list${level}`);
+    return list ? Array.from(list.querySelectorAll('.bookmark-item[data-id]')) : [];
+}
+
+// Get the item selected with the keyboard, if it still exists
+function getKeyboardFocusedItem() {
+    if (!keyboardFocus) return null;
+    return bookmarks.find(b => b.id === keyboardFocus.itemId) || null;
+}
+
+// Select an item with the keyboard and show the focus ring on it
+function setKeyboardFocus(level, itemId) {
+    keyboardFocus = itemId ? { level: level, itemId: itemId } : null;
+    document.body.classList.add('keyboard-navigating');
     
-    // Render the list with children
-    renderList(nextLevel, children, folder.name);
+    document.querySelectorAll('.bookmark-item.keyboard-focus').forEach(el => el.classList.remove('keyboard-focus'));
+    if (!keyboardFocus) return;
     
-    // Ensure pane is visible
-    nextPane.style.display = 'block';
-    nextPane.classList.add('active');
+    const element = getPaneItemElements(level).find(li => li.dataset.id === itemId);
+    if (element) {
+        element.classList.add('keyboard-focus');
+        element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+}
+
+// Move the keyboard selection up or down within its pane (0 selects the first item)
+function moveKeyboardFocus(step) {
+    let level = keyboardFocus ? keyboardFocus.level : getDeepestPaneLevel();
+    let elements = getPaneItemElements(level);
+    let currentIndex = keyboardFocus ? elements.findIndex(li => li.dataset.id === keyboardFocus.itemId) : -1;
     
-    // Force a reflow to ensure rendering
-    void nextPane.offsetHeight;
+    // The selection is gone (e.g. its pane was closed with the mouse): start over in the deepest pane
+    if (currentIndex === -1 && keyboardFocus) {
+        level = getDeepestPaneLevel();
+        elements = getPaneItemElements(level);
+    }
+    if (elements.length === 0) return;
     
-    // Update active state
-    const currentPane = document.getElementById(`pane${currentLevel}`);
-    if (currentPane) {
-        currentPane.classList.remove('active');
+    let nextIndex = 0;
+    if (currentIndex !== -1 && step !== 0) {
+        nextIndex = Math.max(0, Math.min(elements.length - 1, currentIndex + step));
     }
+    setKeyboardFocus(level, elements[nextIndex].dataset.id);
 }
 
-// Save navigation state to localStorage
-function saveNavigationState() {
-    try {
-        // Save only folder IDs and names for reconstruction
-        const state = {
-            path: currentPath.map(folder => ({
-                id: folder.id,
-                name: folder.name
-            }))
-        };
-        localStorage.setItem(NAVIGATION_STATE_KEY, JSON.stringify(state));
-    } catch (e) {
-        console.error('Error saving navigation state:', e);
+// Open the selected folder in the next pane and select its first item
+function openKeyboardFocusedFolder() {
+    const item = getKeyboardFocusedItem();
+    if (!item) {
+        moveKeyboardFocus(0);
+        return;
+    }
+    // Search results are a flat list; folders there cannot be opened
+    if (item.type !== 'folder' || isShowingResults()) return;
+    
+    const level = keyboardFocus.level;
+    navigateToFolder(item, level);
+    
+    const children = getPaneItemElements(level + 1);
+    if (children.length > 0) {
+        setKeyboardFocus(level + 1, children[0].dataset.id);
+    } else {
+        setKeyboardFocus(level, item.id);
     }
 }
 
-// Restore navigation state from localStorage
-function restoreNavigationState() {
-    try {
-        const stored = localStorage.getItem(NAVIGATION_STATE_KEY);
-        if (stored) {
-            const state = JSON.parse(stored);
-            if (state.path && Array.isArray(state.path)) {
-                // Reconstruct folder objects from stored IDs
-                currentPath = state.path.map(folderData => {
-                    const folder = bookmarks.find(b => b.id === folderData.id && b.type === 'folder');
-                    if (folder) {
-                        return {
-                            id: folder.id,
-                            name: folder.name || folderData.name
-                        };
-                    }
-                    return null;
-                }).filter(f => f !== null); // Remove any folders that no longer exist
-            }
-        }
-    } catch (e) {
-        console.error('Error restoring navigation state:', e);
-        currentPath = [];
+// Go back up currentPath: close the selected item's pane and select the folder it showed
+function leaveKeyboardFocusedPane() {
+    if (!keyboardFocus || keyboardFocus.level <= 1 || isShowingResults()) return;
+    
+    const level = keyboardFocus.level;
+    const folder = currentPath[level - 2];
+    if (!folder) return;
+    
+    currentPath = currentPath.slice(0, level - 2);
+    saveNavigationState();
+    keyboardFocus = { level: level - 1, itemId: folder.id };
+    renderNavigation();
+    setKeyboardFocus(level - 1, folder.id);
+}
+
+// Open the selected bookmark (in a background tab with Ctrl/Cmd) or folder
+function activateKeyboardFocusedItem(inBackground) {
+    const item = getKeyboardFocusedItem();
+    if (!item) return;
+    
+    if (item.type === 'folder') {
+        openKeyboardFocusedFolder();
+        return;
     }
+    
+    const element = getPaneItemElements(keyboardFocus.level).find(li => li.dataset.id === item.id);
+    const link = element && element.querySelector('a[data-bookmark-id]');
+    if (!link) return;
+    
+    // A modified click lets the browser open the link in a background tab;
+    // the link's own click handler records the access
+    link.dispatchEvent(new MouseEvent('click', {
+        bubbles: true,
+        cancelable: true,
+        ctrlKey: inBackground,
+        metaKey: inBackground
+    }));
 }
 
 // Populate parent select dropdown
@@ -1088,6 +5093,7 @@ function populateParentSelect(preSelectedParentId = '') {
 // Open add bookmark modal with pre-selected parent
 function openAddBookmarkModal(parentId = '') {
     editingItem = null;
+    hideTagSuggestions();
     document.getElementById('bookmarkModalTitle').textContent = 'Add Bookmark';
     document.getElementById('bookmarkForm').reset();
     document.getElementById('bookmarkUrl').style.display = 'block';
@@ -1101,6 +5107,7 @@ function openAddBookmarkModal(parentId = '') {
 // Open add folder modal with pre-selected parent
 function openAddFolderModal(parentId = '') {
     editingItem = null;
+    hideTagSuggestions();
     document.getElementById('bookmarkModalTitle').textContent = 'Add Folder';
     document.getElementById('bookmarkForm').reset();
     document.getElementById('bookmarkUrl').style.display = 'none';
@@ -1112,20 +5119,40 @@ function openAddFolderModal(parentId = '') {
 }
 
 // Check if an item is a descendant of another
-function isDescendant(itemId, ancestorId) {
+function isDescendant(itemId, ancestorId, visited = new Set()) {
     const item = bookmarks.find(b => b.id === itemId);
     if (!item || !item.parent) return false;
     if (item.parent === ancestorId) return true;
-    return isDescendant(item.parent, ancestorId);
+    // Guard against parent cycles
+    if (visited.has(item.parent)) return false;
+    visited.add(item.parent);
+    return isDescendant(item.parent, ancestorId, visited);
+}
+
+// Generate a unique item ID
+// Timestamp + random suffix stays unique even when many items are added at once
+function generateItemId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Escape text for safe insertion into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// Reorder bookmark within the same parent
-function reorderBookmark(draggedItem, targetItem, parentId, insertPosition = 'on') {
+// Reorder bookmarks within the same parent, keeping dragged items together in their current order
+function reorderBookmarks(draggedItems, targetItem, parentId, insertPosition = 'on') {
     // Get all items in the same parent, sorted by current order
     const siblings = getItemsByParent(parentId);
     
-    // Remove dragged item from siblings
-    const siblingsWithoutDragged = siblings.filter(s => s.id !== draggedItem.id);
+    // Remove dragged items from siblings
+    const draggedIds = new Set(draggedItems.map(draggedItem => draggedItem.id));
+    const siblingsWithoutDragged = siblings.filter(s => !draggedIds.has(s.id));
     
     // Find target index
     let targetIndex = siblingsWithoutDragged.findIndex(s => s.id === targetItem.id);
@@ -1141,8 +5168,8 @@ function reorderBookmark(draggedItem, targetItem, parentId, insertPosition = 'on
         // 'on' - replace position (same as before)
     }
     
-    // Insert dragged item at target position
-    siblingsWithoutDragged.splice(targetIndex, 0, draggedItem);
+    // Insert dragged items at target position
+    siblingsWithoutDragged.splice(targetIndex, 0, ...draggedItems);
     
     // Update order for all siblings
     siblingsWithoutDragged.forEach((sibling, index) => {
@@ -1150,7 +5177,9 @@ function reorderBookmark(draggedItem, targetItem, parentId, insertPosition = 'on
     });
     
     // Ensure parent is set
-    draggedItem.parent = parentId;
+    draggedItems.forEach(draggedItem => {
+        draggedItem.parent = parentId;
+    });
 }
 
 // Render bookmark tree in management modal
@@ -1170,10 +5199,9 @@ function renderBookmarkTree() {
             content.className = 'tree-item-content';
             
             if (item.type === 'folder') {
-                content.innerHTML = `<span class="drag-handle">☰</span> <span class="folder-icon">📁</span> <strong>${item.name}</strong>`;
+                content.innerHTML = `<span class="drag-handle">☰</span> <span class="folder-icon">📁</span> <strong>${escapeHtml(item.name)}</strong> ${renderTagChips(item.tags)} ${renderNotesToggle(item)}`;
             } else {
-                const bookmarkIcon = getBookmarkIcon(item.accessTime);
-                content.innerHTML = `<span class="drag-handle">☰</span> <span class="bookmark-icon">${bookmarkIcon}</span> <a href="${item.url}" target="_blank" data-bookmark-id="${item.id}">${item.name}</a>`;
+                content.innerHTML = `<span class="drag-handle">☰</span> ${renderFavicon(item)} <a href="${escapeHtml(item.url)}" target="_blank" data-bookmark-id="${item.id}">${escapeHtml(item.name)}</a> ${renderHealthBadge(item)} ${renderTagChips(item.tags)} ${renderNotesToggle(item)}`;
                 
                 // Track access time when bookmark is clicked in tree view
                 const bookmarkLink = content.querySelector('a[data-bookmark-id]');
@@ -1191,8 +5219,19 @@ function renderBookmarkTree() {
                 <button class="delete-btn" onclick="deleteItem('${item.id}')">Delete</button>
             `;
             
+            bindTagChips(content);
             div.appendChild(content);
             div.appendChild(actions);
+            bindNotes(div, item);
+            
+            div.addEventListener('click', (e) => {
+                if (isSelectionClick(e)) {
+                    handleSelectionClick(e, item, tree);
+                }
+            }, true);
+            if (selectedItems.has(item.id)) {
+                div.classList.add('selected');
+            }
             
             // Setup drag and drop for tree items
             setupTreeDragAndDrop(div, item, level);
@@ -1210,10 +5249,13 @@ function renderBookmarkTree() {
     
     const rootItems = getItemsByParent('');
     if (rootItems.length === 0) {
-        tree.innerHTML = '<p style="text-align: center; color: #999; padding: 20px;">No bookmarks yet. Add some to get started!</p>';
+        tree.innerHTML = '<p style="text-align: center; color: var(--text-faint); padding: 20px;">No bookmarks yet. Add some to get started!</p>';
     } else {
         renderTreeItems(rootItems, tree);
+        loadFavicons(tree);
     }
+    
+    updateSelectionView();
 }
 
 // Setup drag and drop for tree items in management modal
@@ -1225,13 +5267,14 @@ function setupTreeDragAndDrop(element, item, level) {
         e.dataTransfer.setData('application/json', JSON.stringify({
             id: item.id,
             type: item.type,
-            currentParent: parentId
+            currentParent: parentId,
+            ids: getDragGroupIds(item)
         }));
-        element.classList.add('dragging');
+        markDraggingGroup(element, item);
     });
     
     element.addEventListener('dragend', (e) => {
-        element.classList.remove('dragging');
+        document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
         document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
         document.querySelectorAll('.drop-zone').forEach(el => el.classList.remove('drop-zone'));
     });
@@ -1267,10 +5310,9 @@ function setupTreeDragAndDrop(element, item, level) {
         if (!dragData) return;
         
         try {
-            const draggedItem = JSON.parse(dragData);
-            const draggedItemObj = bookmarks.find(b => b.id === draggedItem.id);
+            const draggedItems = getDraggedItems(JSON.parse(dragData));
             
-            if (!draggedItemObj) return;
+            if (draggedItems.length === 0) return;
             
             let newParent = '';
             if (item.type === 'folder') {
@@ -1280,25 +5322,780 @@ function setupTreeDragAndDrop(element, item, level) {
                 newParent = item.parent || '';
             }
             
-            if (item.id === draggedItemObj.id) {
-                return;
-            }
-            if (item.type === 'folder' && isDescendant(item.id, draggedItemObj.id)) {
-                alert('Cannot move a folder into itself or its descendants');
+            if (draggedItems.some(draggedItem => draggedItem.id === item.id)) {
                 return;
             }
             
-            draggedItemObj.parent = newParent;
+            // Items already in that folder keep their place
+            const movingItems = draggedItems.filter(draggedItem => (draggedItem.parent || '') !== newParent);
+            if (movingItems.length === 0) return;
             
-            saveBookmarks();
-            renderBookmarkTree();
-            renderNavigation();
+            // Refuses to move a folder into its own descendants, and refreshes the tree
+            moveItemsToFolder(movingItems, newParent);
         } catch (e) {
             console.error('Error handling drop:', e);
         }
     });
 }
 
+// Build the request that asks the link check endpoint about a URL
+function getLinkCheckUrl(endpoint, url) {
+    if (endpoint.includes('{url}')) {
+        return endpoint.replace('{url}', encodeURIComponent(url));
+    }
+    return endpoint + encodeURIComponent(url);
+}
+
+// Ask the endpoint for a URL's status; throws if the endpoint itself cannot be used
+// Resolves with { status, url, error } where url is the final URL after redirects and status 0 means unreachable
+async function fetchLinkStatus(url, endpoint) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LINK_CHECK_TIMEOUT_MS);
+    let response;
+    try {
+        response = await fetch(getLinkCheckUrl(endpoint, url), { signal: controller.signal });
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            return { status: 0, url: url, error: 'Timed out' };
+        }
+        throw new Error(`Could not reach the link check endpoint (${endpoint})`);
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    if (!response.ok) {
+        throw new Error(`The link check endpoint answered with HTTP ${response.status}`);
+    }
+    
+    const data = await response.json();
+    // tools/linkcheck-server.js answers { status, url }; allorigins-style proxies nest them in a status object
+    const details = data.status && typeof data.status === 'object'
+        ? { status: data.status.http_code, url: data.status.url }
+        : data;
+    return {
+        status: Number(details.status) || 0,
+        url: details.url || url,
+        error: data.error
+    };
+}
+
+// Turn a check result into the health recorded on a bookmark
+function getLinkHealth(item, result, checkedAt) {
+    const health = { status: 'ok', code: result.status, checkedAt: checkedAt };
+    
+    if (result.status < 200 || result.status >= 400) {
+        health.status = 'broken';
+        if (result.error) {
+            health.error = result.error;
+        }
+    } else if (canonicalUrl(result.url) !== canonicalUrl(item.url)) {
+        health.status = 'redirected';
+        health.redirectUrl = result.url;
+    }
+    
+    return health;
+}
+
+// URL in the form the browser would request it, so "https://a.com" and "https://a.com/" compare equal
+function canonicalUrl(url) {
+    try {
+        return new URL(url).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+// Run worker on each item with at most limit calls in flight; stops starting new calls at the first error and rethrows it
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    let failed = false;
+    
+    async function runNext() {
+        while (!failed && next < items.length) {
+            const item = items[next++];
+            try {
+                await worker(item);
+            } catch (e) {
+                failed = true;
+                throw e;
+            }
+        }
+    }
+    
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        runners.push(runNext());
+    }
+    // Let calls already in flight finish before reporting the error
+    const results = await Promise.allSettled(runners);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+}
+
+// Check the status of bookmarks (all web bookmarks by default) and show the broken links report
+async function checkLinks(items = getLiveItems()) {
+    if (linkCheckRunning) return;
+    
+    const targets = items.filter(item => item.type !== 'folder' && /^https?:\/\//i.test(item.url || ''));
+    if (targets.length === 0) {
+        alert('There are no web links to check');
+        return;
+    }
+    
+    const settings = loadSettings();
+    const checkButton = document.getElementById('checkLinksBtn');
+    linkCheckRunning = true;
+    checkButton.disabled = true;
+    
+    let checked = 0;
+    let completed = false;
+    showLinkCheckStatus(`Checking ${targets.length} links...`);
+    
+    try {
+        await runWithConcurrency(targets, settings.linkCheckConcurrency, async (item) => {
+            const checkedUrl = item.url;
+            const result = await fetchLinkStatus(checkedUrl, settings.linkCheckEndpoint);
+            // A sync from another tab or an undo may have replaced the item meanwhile, so look it up again;
+            // ignore the result if the bookmark is gone or was edited while it was being checked
+            const current = bookmarks.find(b => b.id === item.id);
+            if (current && current.url === checkedUrl) {
+                current.health = getLinkHealth(current, result, Date.now());
+            }
+            checked++;
+            showLinkCheckStatus(`Checked ${checked} of ${targets.length} links...`);
+        });
+        completed = true;
+    } catch (e) {
+        console.error('Error checking links:', e);
+        alert(`${e.message}.\n\nStart tools/linkcheck-server.js or set another link check endpoint in Settings.`);
+    } finally {
+        linkCheckRunning = false;
+        checkButton.disabled = false;
+        // Health is not an edit, so it is saved without an undo step
+        saveBookmarks();
+        renderNavigation();
+        if (document.getElementById('manageModal').classList.contains('active')) {
+            renderBookmarkTree();
+        }
+    }
+    
+    if (completed) {
+        const targetIds = new Set(targets.map(item => item.id));
+        const problems = bookmarks.filter(item => targetIds.has(item.id) && item.health && item.health.status !== 'ok').length;
+        showLinkCheckStatus(`Checked ${targets.length} links, ${problems} need attention`);
+        openLinkReport();
+    } else {
+        showLinkCheckStatus(`Stopped after ${checked} of ${targets.length} links`);
+    }
+}
+
+// Show link check progress next to the manage controls
+function showLinkCheckStatus(message) {
+    document.getElementById('linkCheckStatus').textContent = message;
+}
+
+// Badge showing the result of the last link check
+function renderHealthBadge(item) {
+    if (!item.health) return '';
+    const symbols = { ok: '✓', redirected: '↪', broken: '✗' };
+    return `<span class="health-badge ${item.health.status}" title="${escapeHtml(describeLinkHealth(item.health))}">${symbols[item.health.status]}</span>`;
+}
+
+// Describe a link check result in words
+function describeLinkHealth(health) {
+    let description;
+    if (health.status === 'broken') {
+        description = health.code ? `Broken (HTTP ${health.code})` : `Broken (${health.error || 'unreachable'})`;
+    } else if (health.status === 'redirected') {
+        description = `Redirects to ${health.redirectUrl}`;
+    } else {
+        description = `OK (HTTP ${health.code})`;
+    }
+    if (health.checkedAt) {
+        description += `, checked ${new Date(health.checkedAt).toLocaleString()}`;
+    }
+    return description;
+}
+
+// Bookmarks whose last check found them broken or redirected, broken first
+function getLinkReportItems() {
+    return getLiveItems()
+        .filter(item => item.health && item.health.status !== 'ok')
+        .sort((a, b) => (a.health.status === 'broken' ? 0 : 1) - (b.health.status === 'broken' ? 0 : 1));
+}
+
+// Open the broken links report
+function openLinkReport() {
+    renderLinkReport();
+    document.getElementById('linkReportModal').classList.add('active');
+}
+
+// Close the broken links report
+function closeLinkReport() {
+    document.getElementById('linkReportModal').classList.remove('active');
+}
+
+// List broken and redirected bookmarks with one-click fixes
+function renderLinkReport() {
+    const items = getLinkReportItems();
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    const broken = items.filter(item => item.health.status === 'broken').length;
+    const redirected = items.length - broken;
+    const checkedCount = getLiveItems().filter(item => item.health).length;
+    
+    const intro = document.getElementById('linkReportIntro');
+    if (checkedCount === 0) {
+        intro.textContent = 'No links have been checked yet. Use "Check Links" in Manage Bookmarks.';
+    } else if (items.length === 0) {
+        intro.textContent = `All ${checkedCount} checked links are fine.`;
+    } else {
+        intro.textContent = `${broken} broken and ${redirected} redirected of ${checkedCount} checked links.`;
+    }
+    
+    document.getElementById('updateAllRedirectsBtn').disabled = redirected === 0;
+    document.getElementById('recheckLinksBtn').disabled = items.length === 0;
+    
+    const list = document.getElementById('linkReportList');
+    list.innerHTML = '';
+    items.forEach(item => {
+        const path = getFolderPath(item, itemsById);
+        const li = document.createElement('li');
+        li.className = `link-report-item ${item.health.status}`;
+        li.innerHTML = `
+            <div class="link-report-details">
+                ${renderHealthBadge(item)}
+                <a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(item.name)}</a>
+                <span class="link-report-path">${escapeHtml(path)}</span>
+                <span class="link-report-status">${escapeHtml(describeLinkHealth(item.health))}</span>
+            </div>
+            <div class="link-report-actions">
+                ${item.health.status === 'redirected' ? '<button class="edit-btn" data-action="redirect">Update to redirect</button>' : ''}
+                <button class="delete-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+        li.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            deleteItem(item.id);
+            renderLinkReport();
+        });
+        const redirectButton = li.querySelector('[data-action="redirect"]');
+        if (redirectButton) {
+            redirectButton.addEventListener('click', () => updateLinksToRedirects([item]));
+        }
+        list.appendChild(li);
+    });
+}
+
+// Point redirected bookmarks at their redirect targets, as one undoable step
+function updateLinksToRedirects(items) {
+    if (items.length === 0) return;
+    
+    commitChange(items.length === 1 ? `Update "${items[0].name}" to redirect` : `Update ${items.length} redirects`, () => {
+        items.forEach(item => {
+            item.url = item.health.redirectUrl;
+            item.health = { status: 'ok', code: item.health.code, checkedAt: item.health.checkedAt };
+        });
+    });
+    
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+    renderLinkReport();
+}
+
+// Update every redirected bookmark in the report
+function updateAllRedirects() {
+    const items = getLinkReportItems().filter(item => item.health.status === 'redirected');
+    if (items.length > 0 && confirm(`Update ${items.length} bookmarks to their redirect targets?`)) {
+        updateLinksToRedirects(items);
+    }
+}
+
+// Bookmarks whose URL is the same page as url
+function findBookmarksByUrl(url) {
+    const key = normalizeUrl(url);
+    return getLiveItems().filter(item => item.type !== 'folder' && item.url && normalizeUrl(item.url) === key);
+}
+
+// Path of the folders containing an item, for display
+function getFolderPath(item, itemsById) {
+    return getAncestors(item, itemsById).reverse().map(f => f.name).join(' / ') || 'Root';
+}
+
+// Groups of bookmarks pointing at the same page, in tree order
+function findDuplicateGroups() {
+    const groups = new Map();
+    function collect(parentId) {
+        getItemsByParent(parentId).forEach(item => {
+            if (item.type === 'folder') {
+                collect(item.id);
+            } else if (item.url) {
+                const key = normalizeUrl(item.url);
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(item);
+            }
+        });
+    }
+    collect('');
+    return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+// Open the duplicate finder
+function openDuplicatesModal() {
+    renderDuplicates();
+    document.getElementById('duplicatesModal').classList.add('active');
+}
+
+// Close the duplicate finder
+function closeDuplicatesModal() {
+    document.getElementById('duplicatesModal').classList.remove('active');
+}
+
+// List duplicate groups; each offers a choice of which bookmark to keep
+function renderDuplicates() {
+    const groups = findDuplicateGroups();
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    const extra = groups.reduce((count, group) => count + group.length - 1, 0);
+    
+    document.getElementById('duplicatesIntro').textContent = groups.length === 0
+        ? 'No duplicate bookmarks found.'
+        : `${groups.length === 1 ? '1 page is' : `${groups.length} pages are`} bookmarked more than once (${extra} extra ${extra === 1 ? 'bookmark' : 'bookmarks'}). Choose which bookmark to keep; the others go to the trash and their access history is merged into it.`;
+    document.getElementById('mergeAllDuplicatesBtn').disabled = groups.length === 0;
+    
+    const list = document.getElementById('duplicatesList');
+    list.innerHTML = '';
+    groups.forEach((group, groupIndex) => {
+        // Suggest keeping the most recently used bookmark
+        const suggested = group.reduce((best, item) => (item.accessTime || 0) > (best.accessTime || 0) ? item : best, group[0]);
+        
+        const li = document.createElement('li');
+        li.className = 'duplicate-group';
+        li.innerHTML = `
+            <div class="duplicate-group-header">
+                <span class="duplicate-url">${escapeHtml(group[0].url)}</span>
+                <button class="action-btn primary" data-action="merge">Keep Selected</button>
+            </div>
+            ${group.map(item => `
+                <label class="duplicate-item">
+                    <input type="radio" name="duplicate-${groupIndex}" value="${item.id}" ${item === suggested ? 'checked' : ''}>
+                    <span class="duplicate-details">
+                        <strong>${escapeHtml(item.name)}</strong>
+                        <span class="duplicate-path">${escapeHtml(getFolderPath(item, itemsById))}</span>
+                        <span class="duplicate-meta">${escapeHtml(item.url)} · ${item.accessTime ? `last opened ${new Date(item.accessTime).toLocaleDateString()}` : 'never opened'}</span>
+                    </span>
+                </label>
+            `).join('')}
+        `;
+        li.querySelector('[data-action="merge"]').addEventListener('click', () => {
+            const keepId = li.querySelector('input[type="radio"]:checked').value;
+            mergeDuplicates([{ keep: group.find(item => item.id === keepId), remove: group.filter(item => item.id !== keepId) }]);
+        });
+        list.appendChild(li);
+    });
+}
+
+// Merge every group, keeping the bookmark currently chosen in each
+function mergeAllDuplicates() {
+    const groups = findDuplicateGroups();
+    const merges = groups.map((group, groupIndex) => {
+        const checked = document.querySelector(`#duplicatesList input[name="duplicate-${groupIndex}"]:checked`);
+        const keep = group.find(item => checked && item.id === checked.value) || group[0];
+        return { keep: keep, remove: group.filter(item => item !== keep) };
+    });
+    const removed = merges.reduce((count, merge) => count + merge.remove.length, 0);
+    
+    if (merges.length > 0 && confirm(`Move ${removed} duplicate bookmarks to the trash, keeping one bookmark for each of ${merges.length} pages?`)) {
+        mergeDuplicates(merges);
+    }
+}
+
+// Move duplicates to the trash, folding their access history, tags and age into the bookmark that is kept
+// merges: [{ keep, remove: [...] }]
+function mergeDuplicates(merges) {
+    const now = Date.now();
+    const label = merges.length === 1 ? `Merge duplicates of "${merges[0].keep.name}"` : `Merge ${merges.length} duplicate groups`;
+    // Access times and visits are not tracked by undo, so remember them to take the merged-in usage back out on undo
+    const usageBefore = new Map(merges.map(({ keep }) => [keep.id, getUsageFields(keep)]));
+    
+    const changed = commitChange(label, () => {
+        merges.forEach(({ keep, remove }) => {
+            remove.forEach(item => {
+                item.trashedAt = now;
+                keep.accessTime = Math.max(keep.accessTime || 0, item.accessTime || 0);
+                if (getVisits(item).count > 0) {
+                    keep.visits = mergeVisits(getVisits(keep), getVisits(item));
+                }
+                if (item.dateAdded && (!keep.dateAdded || item.dateAdded < keep.dateAdded)) {
+                    keep.dateAdded = item.dateAdded;
+                }
+                if (item.tags && item.tags.length > 0) {
+                    keep.tags = normalizeTags((keep.tags || []).concat(item.tags));
+                }
+            });
+        });
+    });
+    
+    const usage = Array.from(usageBefore, ([id, before]) => ({
+        id: id,
+        before: before,
+        after: getUsageFields(bookmarks.find(b => b.id === id))
+    })).filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+    if (changed && usage.length > 0) {
+        undoStack[undoStack.length - 1].usage = usage;
+        saveHistory();
+    }
+    
+    saveNavigationState();
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+    renderDuplicates();
+}
+
+// Queue a snapshot of the current bookmarks; resolves once it is stored
+// The copy is taken right away, so a change made straight after does not end up in it
+function takeSnapshot(reason) {
+    if (!storageBackend || bookmarks.length === 0) {
+        return snapshotChain;
+    }
+    
+    const snapshot = {
+        id: generateItemId(),
+        time: Date.now(),
+        reason: reason,
+        data: JSON.parse(JSON.stringify(serializeBookmarks()))
+    };
+    snapshotChain = snapshotChain.then(() => storeSnapshot(snapshot));
+    return snapshotChain;
+}
+
+// Take the daily snapshot if the last one (from any tab) is more than a day old
+function takeDailySnapshot() {
+    if (!storageBackend) {
+        return snapshotChain;
+    }
+    
+    snapshotChain = snapshotChain.then(async () => {
+        try {
+            const snapshots = await storageBackend.loadSnapshots();
+            const lastDaily = snapshots.filter(snapshot => snapshot.reason === 'daily').pop();
+            if (bookmarks.length > 0 && (!lastDaily || Date.now() - lastDaily.time >= SNAPSHOT_INTERVAL_MS)) {
+                await storeSnapshot({
+                    id: generateItemId(),
+                    time: Date.now(),
+                    reason: 'daily',
+                    data: JSON.parse(JSON.stringify(serializeBookmarks()))
+                });
+            }
+        } catch (e) {
+            console.error('Error checking the daily snapshot:', e);
+        }
+    });
+    return snapshotChain;
+}
+
+// Store a snapshot, then delete the ones the retention policy no longer keeps
+async function storeSnapshot(snapshot) {
+    try {
+        await storageBackend.saveSnapshot(snapshot);
+        const expired = getExpiredSnapshots(await storageBackend.loadSnapshots());
+        if (expired.length > 0) {
+            await storageBackend.deleteSnapshots(expired.map(expiredSnapshot => expiredSnapshot.id));
+        }
+    } catch (e) {
+        console.error('Error saving snapshot:', e);
+        showFileStatus('Could not save a snapshot of your bookmarks', 'error');
+    }
+}
+
+// Snapshots outside the retention policy: the newest SNAPSHOT_KEEP_RECENT are kept,
+// and of older ones only the newest of each day within SNAPSHOT_KEEP_DAYS
+function getExpiredSnapshots(snapshots) {
+    const cutoff = Date.now() - SNAPSHOT_KEEP_DAYS * SNAPSHOT_INTERVAL_MS;
+    const keptDays = new Set();
+    
+    return snapshots.slice().sort((a, b) => b.time - a.time).filter((snapshot, index) => {
+        const day = new Date(snapshot.time).toDateString();
+        if (index < SNAPSHOT_KEEP_RECENT || (snapshot.time >= cutoff && !keptDays.has(day))) {
+            keptDays.add(day);
+            return false;
+        }
+        return true;
+    });
+}
+
+// Open the History panel listing stored snapshots
+async function openSnapshotsModal() {
+    document.getElementById('snapshotsIntro').textContent = 'Loading snapshots…';
+    document.getElementById('snapshotsList').innerHTML = '';
+    document.getElementById('snapshotDiff').style.display = 'none';
+    document.getElementById('snapshotsModal').classList.add('active');
+    
+    await snapshotChain;
+    try {
+        openSnapshots = (await storageBackend.loadSnapshots()).reverse();
+    } catch (e) {
+        console.error('Error loading snapshots:', e);
+        openSnapshots = [];
+    }
+    renderSnapshots();
+}
+
+// Close the History panel
+function closeSnapshotsModal() {
+    openSnapshots = [];
+    document.getElementById('snapshotsModal').classList.remove('active');
+}
+
+// Take a snapshot from the History panel and list it
+async function takeManualSnapshot() {
+    await takeSnapshot('manual');
+    await openSnapshotsModal();
+}
+
+// Describe a snapshot's contents, e.g. "12 bookmarks, 3 folders"
+function describeSnapshotCounts(items) {
+    const folderCount = items.filter(item => item.type === 'folder').length;
+    const bookmarkCount = items.length - folderCount;
+    return `${bookmarkCount} bookmark${bookmarkCount !== 1 ? 's' : ''}, ${folderCount} folder${folderCount !== 1 ? 's' : ''}`;
+}
+
+// Items of a snapshot, migrated and validated like stored bookmarks
+function readSnapshotItems(snapshot) {
+    return readBookmarkData(snapshot.data).items;
+}
+
+// List snapshots, newest first
+function renderSnapshots() {
+    document.getElementById('snapshotsIntro').textContent = openSnapshots.length === 0
+        ? 'No snapshots yet. Snapshots are taken automatically before imports, before deleting folders with contents, and once a day.'
+        : `Snapshots are taken automatically before imports, before deleting folders with contents, and once a day. The ${SNAPSHOT_KEEP_RECENT} newest are kept, plus one a day for ${SNAPSHOT_KEEP_DAYS} days.`;
+    
+    const list = document.getElementById('snapshotsList');
+    list.innerHTML = '';
+    openSnapshots.forEach(snapshot => {
+        const li = document.createElement('li');
+        li.className = 'snapshot-item';
+        li.innerHTML = `
+            <span class="snapshot-details">
+                <strong>${escapeHtml(new Date(snapshot.time).toLocaleString())}</strong>
+                <span class="snapshot-meta">${escapeHtml(SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason)} · ${describeSnapshotCounts(snapshot.data.bookmarks || [])}</span>
+            </span>
+            <span class="snapshot-actions">
+                <button class="action-btn" data-action="compare">Compare</button>
+                <button class="action-btn primary" data-action="restore">Restore</button>
+            </span>
+        `;
+        li.querySelector('[data-action="compare"]').addEventListener('click', () => renderSnapshotDiff(snapshot));
+        li.querySelector('[data-action="restore"]').addEventListener('click', () => restoreSnapshot(snapshot));
+        list.appendChild(li);
+    });
+}
+
+// Differences between a snapshot and the current bookmarks
+// Returns { added, removed, changed } where changed entries are { item, was, changes: [descriptions] }
+function diffSnapshot(snapshotItems) {
+    const currentById = new Map(bookmarks.map(item => [item.id, item]));
+    const snapshotById = new Map(snapshotItems.map(item => [item.id, item]));
+    const diff = { added: [], removed: [], changed: [] };
+    
+    bookmarks.forEach(item => {
+        const was = snapshotById.get(item.id);
+        if (!was) {
+            diff.added.push(item);
+            return;
+        }
+        
+        // Order alone is left out: moving one item shifts the order of all its siblings
+        const changes = [];
+        if (!was.trashedAt && item.trashedAt) {
+            changes.push('moved to the trash');
+        } else if (was.trashedAt && !item.trashedAt) {
+            changes.push('restored from the trash');
+        }
+        if (was.name !== item.name) {
+            changes.push(`renamed from "${was.name}"`);
+        }
+        if (was.parent !== item.parent) {
+            changes.push(`moved from ${getFolderPath(was, snapshotById)}`);
+        }
+        if ((was.url || '') !== (item.url || '')) {
+            changes.push('URL changed');
+        }
+        if (JSON.stringify(was.tags || []) !== JSON.stringify(item.tags || [])) {
+            changes.push('tags changed');
+        }
+        if ((was.notes || '') !== (item.notes || '')) {
+            changes.push('notes changed');
+        }
+        if (changes.length > 0) {
+            diff.changed.push({ item: item, was: was, changes: changes });
+        }
+    });
+    diff.removed = snapshotItems.filter(item => !currentById.has(item.id));
+    
+    return diff;
+}
+
+// Compare a snapshot with the current bookmarks, and offer restoring single folders from it
+function renderSnapshotDiff(snapshot) {
+    const snapshotItems = readSnapshotItems(snapshot);
+    const snapshotById = new Map(snapshotItems.map(item => [item.id, item]));
+    const currentById = new Map(bookmarks.map(item => [item.id, item]));
+    const diff = diffSnapshot(snapshotItems);
+    
+    function renderSection(title, entries, renderEntry) {
+        if (entries.length === 0) {
+            return '';
+        }
+        const more = entries.length - SNAPSHOT_DIFF_LIMIT;
+        return `
+            <h4>${title} (${entries.length})</h4>
+            <ul class="snapshot-diff-list">
+                ${entries.slice(0, SNAPSHOT_DIFF_LIMIT).map(entry => `<li>${renderEntry(entry)}</li>`).join('')}
+                ${more > 0 ? `<li class="snapshot-meta">…and ${more} more</li>` : ''}
+            </ul>
+        `;
+    }
+    
+    const describe = (item, itemsById) => `
+        <strong>${escapeHtml(item.name)}</strong>
+        <span class="snapshot-meta">${item.type === 'folder' ? 'Folder' : escapeHtml(item.url)} · in ${escapeHtml(getFolderPath(item, itemsById))}</span>
+    `;
+    const unchanged = diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+    
+    // Folders in tree order, for restoring one of them
+    const folderOptions = [];
+    function collectFolders(parentId, depth) {
+        snapshotItems
+            .filter(item => item.parent === parentId && item.type === 'folder')
+            .sort((a, b) => (a.order || 0) - (b.order || 0))
+            .forEach(folder => {
+                folderOptions.push(`<option value="${folder.id}">${'&nbsp;&nbsp;'.repeat(depth)}${escapeHtml(folder.name)}</option>`);
+                collectFolders(folder.id, depth + 1);
+            });
+    }
+    collectFolders('', 0);
+    
+    const diffEl = document.getElementById('snapshotDiff');
+    diffEl.innerHTML = `
+        <h3>Changes since ${escapeHtml(new Date(snapshot.time).toLocaleString())}</h3>
+        ${unchanged ? '<p class="import-info">The current bookmarks match this snapshot.</p>' : ''}
+        ${renderSection('Added since', diff.added, item => describe(item, currentById))}
+        ${renderSection('Removed since', diff.removed, item => describe(item, snapshotById))}
+        ${renderSection('Changed since', diff.changed, entry => `${describe(entry.item, currentById)} <span class="snapshot-meta">${escapeHtml(entry.changes.join(', '))}</span>`)}
+        ${folderOptions.length > 0 ? `
+            <div class="snapshot-folder-restore">
+                <label for="snapshotFolderSelect">Restore one folder from this snapshot:</label>
+                <select id="snapshotFolderSelect">${folderOptions.join('')}</select>
+                <button class="action-btn" id="restoreSnapshotFolderBtn">Restore Folder</button>
+            </div>
+        ` : ''}
+    `;
+    
+    if (folderOptions.length > 0) {
+        document.getElementById('restoreSnapshotFolderBtn').addEventListener('click', () => {
+            restoreSnapshotFolder(snapshot, document.getElementById('snapshotFolderSelect').value);
+        });
+    }
+    diffEl.style.display = 'block';
+    diffEl.scrollIntoView({ block: 'nearest' });
+}
+
+// Copy a snapshot item, keeping the current usage data (access time, link status) of items that still exist
+function restoreSnapshotItem(item, currentById) {
+    const restored = JSON.parse(JSON.stringify(getTrackedFields(item)));
+    const current = currentById.get(item.id);
+    UNTRACKED_FIELDS.forEach(field => {
+        const source = current || item;
+        if (source[field] !== undefined) {
+            restored[field] = source[field];
+        }
+    });
+    return restored;
+}
+
+// Replace all bookmarks with a snapshot (as one undoable step, after snapshotting the current state)
+function restoreSnapshot(snapshot) {
+    const when = new Date(snapshot.time).toLocaleString();
+    if (!confirm(`Replace all bookmarks with the snapshot from ${when}? The current bookmarks are snapshotted first, and the restore can be undone.`)) {
+        return;
+    }
+    
+    const snapshotItems = readSnapshotItems(snapshot);
+    const currentById = new Map(bookmarks.map(item => [item.id, item]));
+    
+    takeSnapshot('restore');
+    commitChange(`Restore snapshot from ${when}`, () => {
+        bookmarks = snapshotItems.map(item => restoreSnapshotItem(item, currentById));
+    });
+    
+    closeSnapshotsModal();
+    refreshAfterHistoryChange();
+    showFileStatus(`Restored the snapshot from ${when}`, 'success');
+}
+
+// Put one folder back as it was in a snapshot: its contents are replaced by the snapshot's,
+// and a deleted folder returns to its old parent (or to the root if that is gone too)
+function restoreSnapshotFolder(snapshot, folderId) {
+    const snapshotItems = readSnapshotItems(snapshot);
+    const folder = snapshotItems.find(item => item.id === folderId);
+    if (!folder) return;
+    
+    const when = new Date(snapshot.time).toLocaleString();
+    if (!confirm(`Restore "${folder.name}" as it was on ${when}? Items added to it since then are removed. The current bookmarks are snapshotted first, and the restore can be undone.`)) {
+        return;
+    }
+    
+    function collectSubtree(items, rootId) {
+        const ids = new Set([rootId]);
+        let added = true;
+        while (added) {
+            added = false;
+            items.forEach(item => {
+                if (!ids.has(item.id) && ids.has(item.parent)) {
+                    ids.add(item.id);
+                    added = true;
+                }
+            });
+        }
+        return ids;
+    }
+    
+    const restoredIds = collectSubtree(snapshotItems, folderId);
+    const replacedIds = collectSubtree(bookmarks, folderId);
+    const currentById = new Map(bookmarks.map(item => [item.id, item]));
+    const currentFolder = currentById.get(folderId);
+    
+    takeSnapshot('restore');
+    commitChange(`Restore "${folder.name}" from snapshot`, () => {
+        const kept = bookmarks.filter(item => !replacedIds.has(item.id) && !restoredIds.has(item.id));
+        const restored = snapshotItems.filter(item => restoredIds.has(item.id)).map(item => restoreSnapshotItem(item, currentById));
+        const restoredFolder = restored.find(item => item.id === folderId);
+        
+        // An existing folder stays where it is now; a deleted one goes back to its old parent if that still exists
+        if (currentFolder) {
+            restoredFolder.parent = currentFolder.parent;
+            restoredFolder.order = currentFolder.order;
+        } else if (!kept.some(item => item.id === restoredFolder.parent && item.type === 'folder')) {
+            restoredFolder.parent = '';
+            restoredFolder.order = kept.filter(item => item.parent === '').length;
+        }
+        
+        // Items that moved out of the folder since the snapshot move back; anything left without a parent is recovered
+        bookmarks = validateBookmarks(kept.concat(restored)).items;
+    });
+    
+    refreshAfterHistoryChange();
+    openSnapshotsModal();
+    showFileStatus(`Restored "${folder.name}" from the snapshot of ${when}`, 'success');
+}
+
 // Fetch page title from URL
 async function fetchPageTitle(url, nameInput) {
     if (!url || !nameInput) return;
@@ -1359,6 +6156,8 @@ async function saveBookmarkItem() {
     let name = document.getElementById('bookmarkName').value.trim();
     const url = document.getElementById('bookmarkUrl').value.trim();
     const parent = document.getElementById('bookmarkParent').value;
+    const tags = parseTagInput(document.getElementById('bookmarkTags').value);
+    const notes = document.getElementById('bookmarkNotes').value.trim();
     const isFolder = document.getElementById('bookmarkModalTitle').textContent.includes('Folder');
     
     if (!isFolder && !url) {
@@ -1395,21 +6194,61 @@ async function saveBookmarkItem() {
         return;
     }
     
+    // Warn before saving a URL that is already bookmarked elsewhere
+    if (!isFolder && (!editingItem || normalizeUrl(editingItem.url) !== normalizeUrl(url))) {
+        const existing = findBookmarksByUrl(url).filter(item => item !== editingItem);
+        if (existing.length > 0) {
+            const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+            const locations = existing.map(item => `"${item.name}" in ${getFolderPath(item, itemsById)}`).join('\n');
+            if (!confirm(`This URL is already bookmarked:\n${locations}\n\nSave it anyway?`)) {
+                return;
+            }
+        }
+    }
+    
+    // Another tab may have deleted or changed the item while the form was open
+    if (editingItem && !bookmarks.includes(editingItem)) {
+        alert(`"${editingItem.name}" was deleted in another tab.`);
+        document.getElementById('bookmarkModal').classList.remove('active');
+        return;
+    }
+    if (editingItem && JSON.stringify(getTrackedFields(editingItem)) !== editingItemVersion &&
+            !confirm(`"${editingItem.name}" was changed in another tab while you were editing it. Save your version over those changes?`)) {
+        return;
+    }
+    
     if (editingItem) {
         // Update existing item
-        editingItem.name = name;
-        if (!isFolder) {
-            editingItem.url = url;
-        }
-        editingItem.parent = parent;
+        const item = editingItem;
+        commitChange(`Edit "${name}"`, () => {
+            item.name = name;
+            if (!isFolder) {
+                // The last link check says nothing about a new URL
+                if (item.url !== url) {
+                    delete item.health;
+                }
+                item.url = url;
+            }
+            item.parent = parent;
+            if (tags.length > 0) {
+                item.tags = tags;
+            } else {
+                delete item.tags;
+            }
+            if (notes) {
+                item.notes = notes;
+            } else {
+                delete item.notes;
+            }
+        });
     } else {
         // Create new item with unique ID
-        // Use timestamp + random number to ensure uniqueness even if multiple items are added quickly
         const newItem = {
-            id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            id: generateItemId(),
             name: name,
             type: isFolder ? 'folder' : 'bookmark',
-            parent: parent || ''
+            parent: parent || '',
+            dateAdded: Date.now()
         };
         
         if (!isFolder) {
@@ -1417,14 +6256,23 @@ async function saveBookmarkItem() {
             newItem.accessTime = 0; // Initialize access time for new bookmarks
         }
         
+        if (tags.length > 0) {
+            newItem.tags = tags;
+        }
+        
+        if (notes) {
+            newItem.notes = notes;
+        }
+        
         // Set order to append at end of parent's children
         const siblings = getItemsByParent(parent || '');
         newItem.order = siblings.length;
         
-        bookmarks.push(newItem);
+        commitChange(`Add ${newItem.type} "${name}"`, () => {
+            bookmarks.push(newItem);
+        });
     }
     
-    saveBookmarks();
     renderNavigation();
     renderBookmarkTree();
     document.getElementById('bookmarkModal').classList.remove('active');
@@ -1434,10 +6282,14 @@ async function saveBookmarkItem() {
 function editItem(id) {
     editingItem = bookmarks.find(b => b.id === id);
     if (!editingItem) return;
+    editingItemVersion = JSON.stringify(getTrackedFields(editingItem));
+    hideTagSuggestions();
     
     const isFolder = editingItem.type === 'folder';
     document.getElementById('bookmarkModalTitle').textContent = `Edit ${isFolder ? 'Folder' : 'Bookmark'}`;
     document.getElementById('bookmarkName').value = editingItem.name;
+    document.getElementById('bookmarkTags').value = (editingItem.tags || []).join(', ');
+    document.getElementById('bookmarkNotes').value = editingItem.notes || '';
     
     if (isFolder) {
         document.getElementById('bookmarkUrl').style.display = 'none';
@@ -1455,31 +6307,197 @@ function editItem(id) {
     document.getElementById('bookmarkModal').classList.add('active');
 }
 
-// Delete item
+// Move an item (and everything inside it) to the trash
 function deleteItem(id) {
     // If called from modal, confirmation is already done
     const skipConfirm = arguments[1] === true;
     
-    if (!skipConfirm && !confirm('Are you sure you want to delete this item? This will also delete all its children.')) {
+    if (!skipConfirm && !confirm('Move this item to the trash? Anything inside it goes too.')) {
         return;
     }
     
-    function deleteRecursive(itemId) {
-        const children = getItemsByParent(itemId);
-        children.forEach(child => {
-            deleteRecursive(child.id);
-        });
-        bookmarks = bookmarks.filter(b => b.id !== itemId);
-    }
+    const item = bookmarks.find(b => b.id === id);
+    if (!item) return;
     
-    deleteRecursive(id);
-    saveBookmarks();
+    if (getItemsByParent(id).length > 0) {
+        takeSnapshot('delete');
+    }
+    trashItems([item], `Delete "${item.name}"`);
     // Save navigation state before rendering
     saveNavigationState();
     renderNavigation();
     renderBookmarkTree();
 }
 
+// Whether an item is in the trash, itself or inside a trashed folder
+function isTrashed(item, itemsById) {
+    return Boolean(item.trashedAt) || getAncestors(item, itemsById).some(ancestor => ancestor.trashedAt);
+}
+
+// Bookmarks and folders that are not in the trash
+function getLiveItems() {
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    return bookmarks.filter(item => !isTrashed(item, itemsById));
+}
+
+// Items moved to the trash (without the contents of trashed folders), most recently trashed first
+function getTrashedItems() {
+    return bookmarks.filter(item => item.trashedAt).sort((a, b) => b.trashedAt - a.trashedAt);
+}
+
+// Move items, with everything inside them, to the trash as one undoable step
+// They keep their parent and order so they can be restored where they were
+function trashItems(items, label) {
+    const now = Date.now();
+    commitChange(label, () => {
+        items.forEach(item => {
+            item.trashedAt = now;
+        });
+    });
+    
+    // Close trashed folders that were open
+    const liveItems = getLiveItems();
+    const missing = currentPath.findIndex(folder => !liveItems.some(b => b.id === folder.id));
+    if (missing !== -1) {
+        currentPath = currentPath.slice(0, missing);
+    }
+    updateFileStatus();
+}
+
+// Put items back where they were; items whose folder is gone (or in the trash) go to the root
+function restoreFromTrash(items) {
+    commitChange(`Restore ${describeItems(items)}`, () => {
+        items.forEach(item => {
+            const liveItems = getLiveItems();
+            const parentAvailable = liveItems.some(b => b.id === item.parent && b.type === 'folder');
+            if (item.parent !== '' && !parentAvailable) {
+                item.order = getItemsByParent('').length;
+                item.parent = '';
+            }
+            delete item.trashedAt;
+        });
+    });
+    
+    saveNavigationState();
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+    renderTrash();
+    updateFileStatus();
+}
+
+// Ids of trashed items and everything inside them
+function collectTrashedIds(items) {
+    const ids = new Set();
+    function collect(itemId) {
+        ids.add(itemId);
+        // Not getItemsByParent: contents of a trashed folder may have been trashed themselves before it
+        bookmarks.filter(b => b.parent === itemId).forEach(child => collect(child.id));
+    }
+    items.forEach(item => collect(item.id));
+    return ids;
+}
+
+// Delete items in the trash (and everything inside them) for good, as an undoable step after a snapshot
+function deleteFromTrash(items, label) {
+    const deletedIds = collectTrashedIds(items);
+    
+    takeSnapshot('emptyTrash');
+    commitChange(label, () => {
+        bookmarks = bookmarks.filter(b => !deletedIds.has(b.id));
+    });
+    
+    if (document.getElementById('trashModal').classList.contains('active')) {
+        renderTrash();
+    }
+    updateFileStatus();
+}
+
+// Empty the trash: the only way items are deleted for good
+function emptyTrash() {
+    const items = getTrashedItems();
+    if (items.length === 0) return;
+    
+    if (!confirm(`Permanently delete ${describeItems(items)} in the trash, with everything inside them?`)) {
+        return;
+    }
+    deleteFromTrash(items, 'Empty the trash');
+    showFileStatus('Trash emptied', 'success');
+}
+
+// Delete items that have been in the trash longer than the trashRetentionDays setting
+// This is housekeeping rather than something the user did, so it takes no snapshot and cannot be undone
+function purgeExpiredTrash() {
+    const cutoff = Date.now() - loadSettings().trashRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = getTrashedItems().filter(item => item.trashedAt < cutoff);
+    if (expired.length === 0) return;
+    
+    const expiredIds = collectTrashedIds(expired);
+    bookmarks = bookmarks.filter(b => !expiredIds.has(b.id));
+    saveBookmarks();
+    
+    if (document.getElementById('trashModal').classList.contains('active')) {
+        renderTrash();
+    }
+    updateFileStatus();
+}
+
+// Open the trash view
+function openTrashModal() {
+    renderTrash();
+    document.getElementById('trashModal').classList.add('active');
+}
+
+// Close the trash view
+function closeTrashModal() {
+    document.getElementById('trashModal').classList.remove('active');
+}
+
+// List trashed items with where they came from and when they were deleted
+function renderTrash() {
+    const items = getTrashedItems();
+    const itemsById = new Map(bookmarks.map(item => [item.id, item]));
+    const liveItems = getLiveItems();
+    const days = loadSettings().trashRetentionDays;
+    
+    document.getElementById('trashIntro').textContent = items.length === 0
+        ? 'The trash is empty.'
+        : `Deleted items stay here for ${days} day${days !== 1 ? 's' : ''}, then they are deleted for good. Restored items go back to their folder, or to the root if that folder is gone.`;
+    document.getElementById('restoreAllTrashBtn').disabled = items.length === 0;
+    document.getElementById('emptyTrashBtn').disabled = items.length === 0;
+    
+    const list = document.getElementById('trashList');
+    list.innerHTML = '';
+    items.forEach(item => {
+        const folderAvailable = item.parent === '' || liveItems.some(b => b.id === item.parent);
+        const location = folderAvailable ? getFolderPath(item, itemsById) : 'Root (its folder is gone)';
+        let contents = 0;
+        if (item.type === 'folder') {
+            const countContents = (parentId) => bookmarks.filter(b => b.parent === parentId).forEach(child => {
+                contents++;
+                countContents(child.id);
+            });
+            countContents(item.id);
+        }
+        
+        const li = document.createElement('li');
+        li.className = 'trash-item';
+        li.innerHTML = `
+            <span class="trash-icon">${item.type === 'folder' ? '📁' : '🔗'}</span>
+            <div class="trash-details">
+                <strong>${escapeHtml(item.name)}</strong>
+                <span class="trash-meta">
+                    Deleted ${escapeHtml(new Date(item.trashedAt).toLocaleString())} · from ${escapeHtml(location)}${item.type === 'folder' ? ` · ${contents} item${contents !== 1 ? 's' : ''} inside` : ''}
+                </span>
+            </div>
+            <button class="edit-btn" data-action="restore">Restore</button>
+        `;
+        li.querySelector('[data-action="restore"]').addEventListener('click', () => restoreFromTrash([item]));
+        list.appendChild(li);
+    });
+}
+
 // Parse Chrome bookmarks HTML format
 function parseChromeBookmarks(htmlText) {
     const parser = new DOMParser();
@@ -1492,6 +6510,28 @@ function parseChromeBookmarks(htmlText) {
         return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}-${idCounter++}`;
     }
     
+    // Read a Netscape timestamp attribute (seconds) as milliseconds
+    function readTimestamp(element, attribute) {
+        const seconds = parseInt(element.getAttribute(attribute), 10);
+        return seconds > 0 ? seconds * 1000 : 0;
+    }
+    
+    // The description (<DD>) that follows a DT, if any
+    function getDescriptionElement(dtElement) {
+        const next = dtElement.nextElementSibling;
+        return next && next.tagName === 'DD' ? next : null;
+    }
+    
+    // Text of a description, leaving out any folder contents nested in it
+    function readDescription(ddElement) {
+        if (!ddElement) return '';
+        return Array.from(ddElement.childNodes)
+            .filter(child => child.nodeType === Node.TEXT_NODE)
+            .map(child => child.textContent)
+            .join('')
+            .trim();
+    }
+    
     // Recursive function to process DL elements (folders)
     function processDL(dlElement, parentId = '') {
         if (!dlElement) return;
@@ -1519,8 +6559,17 @@ function parseChromeBookmarks(htmlText) {
                             id: folderId,
                             name: folderName,
                             type: 'folder',
-                            parent: parentId || ''
+                            parent: parentId || '',
+                            order: result.filter(b => b.parent === (parentId || '')).length
                         };
+                        const dateAdded = readTimestamp(h3, 'ADD_DATE');
+                        if (dateAdded) {
+                            folder.dateAdded = dateAdded;
+                        }
+                        const description = getDescriptionElement(node);
+                        if (readDescription(description)) {
+                            folder.notes = readDescription(description);
+                        }
                         result.push(folder);
                         
                         // Find the nested DL element (folder contents)
@@ -1542,6 +6591,11 @@ function parseChromeBookmarks(htmlText) {
                             nestedDL = node.querySelector('DL');
                         }
                         
+                        // A folder description (<DD>) closes the DT, so the contents end up inside the DD
+                        if (!nestedDL && description) {
+                            nestedDL = description.querySelector('DL');
+                        }
+                        
                         // Process nested DL (folder contents)
                         if (nestedDL) {
                             processDL(nestedDL, folderId);
@@ -1555,16 +6609,28 @@ function parseChromeBookmarks(htmlText) {
                     const name = a.textContent.trim();
                     
                     if (url && name) {
-                        const parentIdForBookmark = currentFolderId || parentId || '';
+                        const parentIdForBookmark = parentId || '';
                         const bookmark = {
                             id: generateId(),
                             name: name,
                             url: url,
                             type: 'bookmark',
                             parent: parentIdForBookmark,
-                            accessTime: 0,
+                            accessTime: readTimestamp(a, 'LAST_VISIT'),
                             order: result.filter(b => b.parent === parentIdForBookmark).length
                         };
+                        const dateAdded = readTimestamp(a, 'ADD_DATE');
+                        if (dateAdded) {
+                            bookmark.dateAdded = dateAdded;
+                        }
+                        const tags = normalizeTags((a.getAttribute('TAGS') || '').split(','));
+                        if (tags.length > 0) {
+                            bookmark.tags = tags;
+                        }
+                        const notes = readDescription(getDescriptionElement(node));
+                        if (notes) {
+                            bookmark.notes = notes;
+                        }
                         result.push(bookmark);
                     }
                 }
@@ -1581,6 +6647,168 @@ function parseChromeBookmarks(htmlText) {
     return result;
 }
 
+// Detect the source of parsed JSON and convert it to bookmark data readBookmarkData accepts
+function convertImportedJson(data) {
+    // Our own export (a bare array before schema versions were introduced)
+    if (Array.isArray(data) || (data && typeof data.schemaVersion === 'number')) {
+        return data;
+    }
+    
+    // Chrome/Edge profile "Bookmarks" file
+    if (data && data.roots && typeof data.roots === 'object') {
+        return parseChromeProfileBookmarks(data);
+    }
+    
+    // Firefox bookmarks backup (.json)
+    if (data && Array.isArray(data.children) && (data.type === 'text/x-moz-place-container' || data.typeCode === 2)) {
+        return parseFirefoxBookmarks(data);
+    }
+    
+    throw new Error('Invalid bookmark file format');
+}
+
+// Append a converted item, ordering it after its already converted siblings
+function appendConvertedItem(result, item) {
+    item.id = generateItemId();
+    item.order = result.filter(b => b.parent === item.parent).length;
+    if (item.type === 'bookmark' && item.accessTime === undefined) {
+        item.accessTime = 0;
+    }
+    result.push(item);
+    return item;
+}
+
+// Parse a Firefox bookmarks backup (places JSON)
+function parseFirefoxBookmarks(data) {
+    const result = [];
+    // Display names for the built-in root containers
+    const rootNames = {
+        bookmarksMenuFolder: 'Bookmarks Menu',
+        toolbarFolder: 'Bookmarks Toolbar',
+        unfiledBookmarksFolder: 'Other Bookmarks',
+        mobileFolder: 'Mobile Bookmarks'
+    };
+    
+    // Firefox timestamps are in microseconds
+    function toMilliseconds(microseconds) {
+        return microseconds ? Math.floor(microseconds / 1000) : 0;
+    }
+    
+    // Older Firefox versions keep descriptions in the item's annotations
+    function getFirefoxDescription(node) {
+        const annotation = (node.annos || []).find(anno => anno.name === 'bookmarkProperties/description');
+        return annotation && typeof annotation.value === 'string' ? annotation.value.trim() : '';
+    }
+    
+    function hasBookmarks(node) {
+        return (node.children || []).some(child =>
+            child.type === 'text/x-moz-place' || (child.children && hasBookmarks(child)));
+    }
+    
+    // The tags root holds a folder per tag listing the tagged URLs; it becomes tags, not folders
+    function isTagsRoot(node) {
+        return node.root === 'tagsFolder' || node.guid === 'tags________';
+    }
+    const tagsByUrl = new Map();
+    data.children.filter(isTagsRoot).forEach(tagsRoot => {
+        (tagsRoot.children || []).forEach(tagFolder => {
+            (tagFolder.children || []).forEach(entry => {
+                if (!entry.uri || !tagFolder.title) return;
+                tagsByUrl.set(entry.uri, (tagsByUrl.get(entry.uri) || []).concat([tagFolder.title]));
+            });
+        });
+    });
+    
+    function processNode(node, parentId) {
+        if (node.type === 'text/x-moz-place-container' || node.typeCode === 2) {
+            if (isTagsRoot(node)) return;
+            // Skip empty built-in roots (e.g. an unused mobile folder)
+            if (node.root && !hasBookmarks(node)) return;
+            
+            const folder = appendConvertedItem(result, {
+                name: rootNames[node.root] || node.title || 'Untitled Folder',
+                type: 'folder',
+                parent: parentId
+            });
+            if (node.dateAdded) folder.dateAdded = toMilliseconds(node.dateAdded);
+            if (node.lastModified) folder.dateModified = toMilliseconds(node.lastModified);
+            const description = getFirefoxDescription(node);
+            if (description) folder.notes = description;
+            (node.children || []).forEach(child => processNode(child, folder.id));
+        } else if (node.type === 'text/x-moz-place' || node.typeCode === 1) {
+            // place: URIs are Firefox's built-in queries (e.g. "Most Visited"), not real links
+            if (!node.uri || node.uri.startsWith('place:')) return;
+            
+            const bookmark = appendConvertedItem(result, {
+                name: node.title || node.uri,
+                url: node.uri,
+                type: 'bookmark',
+                parent: parentId
+            });
+            if (node.dateAdded) bookmark.dateAdded = toMilliseconds(node.dateAdded);
+            if (node.lastModified) bookmark.dateModified = toMilliseconds(node.lastModified);
+            // Firefox stores tags as a comma-separated string, and in the tags root
+            const tags = normalizeTags((node.tags ? String(node.tags).split(',') : []).concat(tagsByUrl.get(node.uri) || []));
+            if (tags.length > 0) bookmark.tags = tags;
+            const description = getFirefoxDescription(node);
+            if (description) bookmark.notes = description;
+        }
+        // Separators (text/x-moz-place-separator) have no equivalent and are dropped
+    }
+    
+    // The places root itself is not a folder of ours; start with its children
+    data.children.forEach(child => processNode(child, ''));
+    return result;
+}
+
+// Parse a Chrome/Edge profile "Bookmarks" JSON file
+function parseChromeProfileBookmarks(data) {
+    const result = [];
+    // Fallback names for the built-in roots
+    const rootNames = {
+        bookmark_bar: 'Bookmarks bar',
+        other: 'Other bookmarks',
+        synced: 'Mobile bookmarks'
+    };
+    
+    // Chrome timestamps are microseconds since 1601-01-01 (stored as strings)
+    function toMilliseconds(value) {
+        const microseconds = Number(value);
+        if (!microseconds) return 0;
+        return Math.max(0, Math.floor(microseconds / 1000) - 11644473600000);
+    }
+    
+    function processNode(node, parentId) {
+        if (node.type === 'folder') {
+            const folder = appendConvertedItem(result, {
+                name: node.name || 'Untitled Folder',
+                type: 'folder',
+                parent: parentId
+            });
+            if (toMilliseconds(node.date_added)) folder.dateAdded = toMilliseconds(node.date_added);
+            if (toMilliseconds(node.date_modified)) folder.dateModified = toMilliseconds(node.date_modified);
+            (node.children || []).forEach(child => processNode(child, folder.id));
+        } else if (node.type === 'url' && node.url) {
+            const bookmark = appendConvertedItem(result, {
+                name: node.name || node.url,
+                url: node.url,
+                type: 'bookmark',
+                parent: parentId,
+                accessTime: toMilliseconds(node.date_last_used)
+            });
+            if (toMilliseconds(node.date_added)) bookmark.dateAdded = toMilliseconds(node.date_added);
+        }
+    }
+    
+    ['bookmark_bar', 'other', 'synced'].forEach(rootKey => {
+        const root = data.roots[rootKey];
+        // Skip missing or empty roots
+        if (!root || !root.children || root.children.length === 0) return;
+        processNode({ ...root, type: 'folder', name: root.name || rootNames[rootKey] }, '');
+    });
+    return result;
+}
+
 // Import bookmarks from file
 async function handleFileImport(event) {
     const file = event.target.files[0];
@@ -1599,28 +6827,26 @@ async function handleFileImport(event) {
                 throw new Error('No bookmarks found in HTML file');
             }
         } else {
-            // JSON format
-            importedBookmarks = JSON.parse(text);
-            
-            // Validate the imported data
-            if (!Array.isArray(importedBookmarks)) {
-                throw new Error('Invalid bookmark file format');
-            }
+            // JSON format: our own export, a Firefox backup or a Chrome profile "Bookmarks" file
+            importedBookmarks = convertImportedJson(JSON.parse(text));
+        }
+        
+        // Validate and repair; throws if the file is unusable
+        const { items, fixes } = readBookmarkData(importedBookmarks);
+        if (fixes.length > 0) {
+            console.warn(`Repaired imported bookmarks from ${file.name}:`, fixes);
         }
         
-        // Ask for confirmation if there are existing bookmarks
         if (bookmarks.length > 0) {
-            if (!confirm('This will replace all existing bookmarks. Continue?')) {
-                event.target.value = '';
-                return;
+            // Let the user choose between merging and replacing
+            openImportModal(items, file.name, fixes);
+        } else {
+            replaceBookmarks(items);
+            showFileStatus(`Bookmarks imported successfully from ${file.name} (${items.length} items)`, 'success');
+            if (fixes.length > 0) {
+                showReport('Imported bookmarks repaired', `Problems were found in ${file.name} and fixed during import:`, fixes);
             }
         }
-        
-        bookmarks = importedBookmarks;
-        saveBookmarks();
-        renderNavigation();
-        
-        showFileStatus(`Bookmarks imported successfully from ${file.name} (${importedBookmarks.length} items)`, 'success');
     } catch (e) {
         console.error('Error importing bookmarks:', e);
         showFileStatus(`Error importing bookmarks: ${e.message}`, 'error');
@@ -1630,10 +6856,250 @@ async function handleFileImport(event) {
     event.target.value = '';
 }
 
+// Replace the whole bookmark tree with imported items
+function replaceBookmarks(importedBookmarks) {
+    bookmarks = importedBookmarks;
+    saveBookmarks();
+    // Recorded steps refer to the replaced tree
+    clearHistory();
+    restoreNavigationState();
+    renderNavigation();
+    
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+}
+
+// Open the import modal to choose between merging and replacing
+function openImportModal(importedBookmarks, sourceName, fixes = []) {
+    pendingImport = { items: importedBookmarks, sourceName: sourceName };
+    
+    const folderCount = importedBookmarks.filter(item => item.type === 'folder').length;
+    const bookmarkCount = importedBookmarks.length - folderCount;
+    document.getElementById('importSourceInfo').textContent =
+        `${sourceName} contains ${bookmarkCount} bookmark${bookmarkCount !== 1 ? 's' : ''} and ${folderCount} folder${folderCount !== 1 ? 's' : ''}.`;
+    
+    // List repairs made while validating the file
+    const fixesEl = document.getElementById('importFixes');
+    fixesEl.innerHTML = '';
+    if (fixes.length > 0) {
+        const listItems = fixes.map(fix => `<li>${escapeHtml(fix)}</li>`).join('');
+        fixesEl.innerHTML = `
+            <details>
+                <summary>${fixes.length} problem${fixes.length !== 1 ? 's' : ''} in the file ${fixes.length !== 1 ? 'were' : 'was'} repaired</summary>
+                <ul>${listItems}</ul>
+            </details>
+        `;
+    }
+    
+    document.getElementById('importForm').reset();
+    document.getElementById('importForm').style.display = 'block';
+    document.getElementById('importDuplicatesGroup').style.display = 'block';
+    document.getElementById('importResult').style.display = 'none';
+    document.getElementById('importResult').innerHTML = '';
+    document.getElementById('importModal').classList.add('active');
+}
+
+// Close the import modal and drop any pending import
+function closeImportModal() {
+    pendingImport = null;
+    document.getElementById('importModal').classList.remove('active');
+}
+
+// Run the pending import with the options chosen in the import modal
+function runPendingImport() {
+    if (!pendingImport) return;
+    
+    const { items, sourceName } = pendingImport;
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    
+    if (mode === 'replace') {
+        if (!confirm('This will replace all existing bookmarks. Continue?')) {
+            return;
+        }
+        takeSnapshot('import');
+        replaceBookmarks(items);
+        closeImportModal();
+        showFileStatus(`Bookmarks imported successfully from ${sourceName} (${items.length} items)`, 'success');
+        return;
+    }
+    
+    const duplicateMode = document.getElementById('importDuplicates').value;
+    let summary = null;
+    takeSnapshot('import');
+    commitChange(`Import ${sourceName}`, () => {
+        summary = mergeBookmarks(items, duplicateMode);
+    });
+    pendingImport = null;
+    
+    saveNavigationState();
+    renderNavigation();
+    if (document.getElementById('manageModal').classList.contains('active')) {
+        renderBookmarkTree();
+    }
+    
+    renderImportSummary(summary);
+    showFileStatus(`Merged ${sourceName}: ${summary.added.length} added, ${summary.updated.length} updated, ${summary.skipped.length} skipped`, 'success');
+}
+
+// Merge imported items into bookmarks
+// Folders are matched by path (name under the same parent), bookmarks by normalized URL
+function mergeBookmarks(importedItems, duplicateMode = 'skip') {
+    const summary = { added: [], updated: [], skipped: [] };
+    
+    // Index existing bookmarks by normalized URL
+    const urlIndex = new Map();
+    const liveItems = getLiveItems();
+    liveItems.forEach(item => {
+        if (item.type !== 'folder' && item.url) {
+            const key = normalizeUrl(item.url);
+            if (!urlIndex.has(key)) {
+                urlIndex.set(key, item);
+            }
+        }
+    });
+    
+    function findFolderByName(parentId, name) {
+        const lowerName = name.trim().toLowerCase();
+        return liveItems.find(item => item.type === 'folder' &&
+            (item.parent || '') === parentId &&
+            (item.name || '').trim().toLowerCase() === lowerName);
+    }
+    
+    function appendItem(item, parentId) {
+        const newItem = { ...item, id: generateItemId(), parent: parentId };
+        delete newItem.children;
+        newItem.order = getItemsByParent(parentId).length;
+        if (newItem.type !== 'folder' && newItem.accessTime === undefined) {
+            newItem.accessTime = 0;
+        }
+        bookmarks.push(newItem);
+        return newItem;
+    }
+    
+    // Walk the imported tree top-down so parents are placed before their children
+    function mergeChildren(importedParentId, targetParentId, path) {
+        const children = importedItems
+            .filter(item => (item.parent || '') === importedParentId)
+            .sort((a, b) => {
+                const aOrder = a.order !== undefined ? a.order : Infinity;
+                const bOrder = b.order !== undefined ? b.order : Infinity;
+                if (aOrder !== bOrder) {
+                    return aOrder - bOrder;
+                }
+                return importedItems.indexOf(a) - importedItems.indexOf(b);
+            });
+        
+        children.forEach(item => {
+            const itemPath = path ? `${path} / ${item.name}` : item.name;
+            
+            if (item.type === 'folder') {
+                let folder = findFolderByName(targetParentId, item.name || '');
+                if (!folder) {
+                    folder = appendItem(item, targetParentId);
+                    summary.added.push(itemPath);
+                }
+                mergeChildren(item.id, folder.id, itemPath);
+                return;
+            }
+            
+            const key = normalizeUrl(item.url);
+            const existing = urlIndex.get(key);
+            if (!existing) {
+                urlIndex.set(key, appendItem(item, targetParentId));
+                summary.added.push(itemPath);
+            } else if (duplicateMode === 'update' && (existing.name !== item.name ||
+                    !(item.tags || []).every(tag => (existing.tags || []).includes(tag)) ||
+                    (item.notes && item.notes !== existing.notes))) {
+                existing.name = item.name;
+                if (item.tags && item.tags.length > 0) {
+                    existing.tags = normalizeTags((existing.tags || []).concat(item.tags));
+                }
+                if (item.notes) {
+                    existing.notes = item.notes;
+                }
+                summary.updated.push(itemPath);
+            } else {
+                summary.skipped.push(itemPath);
+            }
+        });
+    }
+    
+    mergeChildren('', '', '');
+    
+    // Items whose parent is missing from the file are merged at the root
+    const importedIds = new Set(importedItems.map(item => item.id));
+    const orphanParents = new Set(importedItems
+        .filter(item => item.parent && !importedIds.has(item.parent))
+        .map(item => item.parent));
+    orphanParents.forEach(parentId => mergeChildren(parentId, '', ''));
+    
+    return summary;
+}
+
+// Show what a merge added, updated and skipped
+function renderImportSummary(summary) {
+    const result = document.getElementById('importResult');
+    document.getElementById('importForm').style.display = 'none';
+    
+    function renderSection(title, entries) {
+        if (entries.length === 0) {
+            return `<p><strong>${title}:</strong> 0</p>`;
+        }
+        const listItems = entries.map(entry => `<li>${escapeHtml(entry)}</li>`).join('');
+        return `
+            <details>
+                <summary><strong>${title}:</strong> ${entries.length}</summary>
+                <ul>${listItems}</ul>
+            </details>
+        `;
+    }
+    
+    result.innerHTML = `
+        <h3>Import summary</h3>
+        ${renderSection('Added', summary.added)}
+        ${renderSection('Updated', summary.updated)}
+        ${renderSection('Skipped (already present)', summary.skipped)}
+        <div class="form-actions">
+            <button type="button" class="action-btn primary" id="closeImportResultBtn">Done</button>
+        </div>
+    `;
+    result.style.display = 'block';
+    document.getElementById('closeImportResultBtn').addEventListener('click', closeImportModal);
+}
+
+// Normalize a URL so that trivially different spellings compare equal
+// Variants that still load the same page map to the same key: http/https, "www.", a trailing slash,
+// utm_* tracking parameters and fragments are all ignored
+function normalizeUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url.trim());
+        // Fragments never change the page that is loaded
+        parsed.hash = '';
+        
+        Array.from(parsed.searchParams.keys())
+            .filter(key => key.toLowerCase().startsWith('utm_'))
+            .forEach(key => parsed.searchParams.delete(key));
+        
+        const path = parsed.pathname.replace(/\/+$/, '');
+        const isWeb = parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        if (!isWeb) {
+            return parsed.href;
+        }
+        
+        const host = parsed.host.replace(/^www\./, '');
+        return `//${host}${path}${parsed.search}`;
+    } catch (e) {
+        return url.trim().toLowerCase();
+    }
+}
+
 function updateFileStatus() {
     const statusEl = document.getElementById('fileStatus');
-    const count = bookmarks.length;
-    statusEl.textContent = `Bookmarks stored in browser (${count} item${count !== 1 ? 's' : ''})`;
+    const count = getLiveItems().length;
+    const trashCount = getTrashedItems().length;
+    statusEl.textContent = `Bookmarks stored in browser (${count} item${count !== 1 ? 's' : ''}${trashCount > 0 ? `, ${trashCount} in the trash` : ''})`;
     statusEl.className = 'file-status active';
 }
 
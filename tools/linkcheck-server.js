@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// Link check endpoint for the homepage's link health checker
+//
+// Browsers cannot read the status of cross-origin pages, so the homepage asks
+// this server to check each URL instead:
+//
+//   GET /check?url=<url>  ->  { "status": 200, "url": "<final url after redirects>" }
+//                             { "status": 0, "url": "<url>", "error": "<reason>" } when unreachable
+//
+// and can fetch icons for sites that do not allow cross-origin requests
+// (set the homepage's Favicon Proxy setting to http://localhost:8787/raw?url={url}):
+//
+//   GET /raw?url=<url>    ->  the body of <url> after redirects, with its Content-Type,
+//                             if that is an image (anything else is refused)
+//
+// Only the homepage may use these from a browser: requests from any other origin are refused,
+// and the answers carry CORS headers for the homepage's origin alone. A homepage opened as a
+// file has the origin "null"; if you serve it, set HOMEPAGE_ORIGIN (e.g. http://localhost:8000,
+// several separated by commas).
+//
+// It also serves a few test pages so the checker can be tried without a network:
+//
+//   /test/ok, /test/redirect (301 to /test/ok), /test/missing (404),
+//   /test/error (500), /test/slow (200 after 3 seconds)
+//
+// and a favicon (declared by /test/ok and served at /favicon.ico) for trying icon caching
+//
+// Usage: node tools/linkcheck-server.js [port]   (default 8787, or the PORT variable)
+// It only listens on 127.0.0.1, since it fetches whatever URL it is asked for.
+// No dependencies beyond Node.js itself.
+
+const http = require('http');
+const https = require('https');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+
+// Origins allowed to call /check and /raw from a browser ("null" is a page opened from a file)
+const HOMEPAGE_ORIGINS = (process.env.HOMEPAGE_ORIGIN || 'null').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Give up on a URL after this long
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Maximum number of redirects followed for one URL
+const MAX_REDIRECTS = 5;
+
+// Send a HEAD (or GET) request and resolve with the status code and Location header
+function requestOnce(url, method) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method: method,
+            headers: { 'User-Agent': 'bookmark-homepage-linkcheck' }
+        }, (res) => {
+            // Only the status matters; drop the body
+            res.resume();
+            resolve({ status: res.statusCode, location: res.headers.location });
+        });
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+            req.destroy(new Error('Timed out'));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+// Largest body /raw passes on; icons are far smaller
+const MAX_RAW_BYTES = 1024 * 1024;
+
+// Fetch an image, following redirects; resolves with { status, type, body }
+// Rejects if the answer is not an image, so pages (e.g. on the intranet) cannot be read through it
+async function fetchRaw(rawUrl) {
+    let url = new URL(rawUrl);
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error(`Unsupported protocol ${url.protocol}`);
+        }
+        const result = await new Promise((resolve, reject) => {
+            const client = url.protocol === 'https:' ? https : http;
+            const req = client.get(url, {
+                headers: { 'User-Agent': 'bookmark-homepage-linkcheck' }
+            }, (res) => {
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    resolve({ status: res.statusCode, location: res.headers.location });
+                    return;
+                }
+                const type = res.headers['content-type'] || '';
+                if (!/^image\//i.test(type)) {
+                    res.resume();
+                    reject(new Error(`Not an image (${type || 'no Content-Type'})`));
+                    return;
+                }
+                const chunks = [];
+                let size = 0;
+                res.on('data', (chunk) => {
+                    size += chunk.length;
+                    if (size > MAX_RAW_BYTES) {
+                        req.destroy(new Error('Response too large'));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                res.on('end', () => resolve({
+                    status: res.statusCode,
+                    type: type,
+                    body: Buffer.concat(chunks)
+                }));
+                res.on('error', reject);
+            });
+            req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+                req.destroy(new Error('Timed out'));
+            });
+            req.on('error', reject);
+        });
+
+        if (result.location) {
+            url = new URL(result.location, url);
+            continue;
+        }
+        return result;
+    }
+
+    throw new Error('Too many redirects');
+}
+
+// Check a URL, following redirects; some servers reject HEAD, so fall back to GET
+async function checkUrl(rawUrl) {
+    let url = new URL(rawUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { status: 0, url: rawUrl, error: `Unsupported protocol ${url.protocol}` };
+    }
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        let result = await requestOnce(url, 'HEAD');
+        if (result.status === 405 || result.status === 501) {
+            result = await requestOnce(url, 'GET');
+        }
+
+        if (result.status >= 300 && result.status < 400 && result.location) {
+            url = new URL(result.location, url);
+            continue;
+        }
+        return { status: result.status, url: url.href };
+    }
+
+    return { status: 0, url: url.href, error: 'Too many redirects' };
+}
+
+// A 16x16 PNG (a purple square) used as the test favicon
+const TEST_FAVICON = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAAAGUlEQVR42mNIq3v1nxLMMGrAqAGjBgwXAwCl0c0f/AccVgAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+// Test pages for trying the checker offline
+// They allow cross-origin requests so the homepage can also load their favicon directly
+function serveTestPage(req, res, pathname) {
+    switch (pathname) {
+        case '/':
+        case '/test/ok':
+            res.writeHead(200, { 'Content-Type': 'text/html', 'Access-Control-Allow-Origin': '*' });
+            res.end('<title>OK</title><link rel="icon" href="/test/favicon.png">');
+            return true;
+        case '/favicon.ico':
+        case '/test/favicon.png':
+            res.writeHead(200, { 'Content-Type': 'image/png', 'Access-Control-Allow-Origin': '*' });
+            res.end(TEST_FAVICON);
+            return true;
+        case '/test/redirect':
+            res.writeHead(301, { Location: '/test/ok' });
+            res.end();
+            return true;
+        case '/test/missing':
+            res.writeHead(404);
+            res.end('Not found');
+            return true;
+        case '/test/error':
+            res.writeHead(500);
+            res.end('Server error');
+            return true;
+        case '/test/slow':
+            setTimeout(() => {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end('<title>Slow</title>');
+            }, 3000);
+            return true;
+    }
+    return false;
+}
+
+// CORS headers letting the homepage (and no other page) read an answer
+function getCorsHeaders(req) {
+    const origin = req.headers.origin;
+    return origin && HOMEPAGE_ORIGINS.includes(origin)
+        ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+        : { 'Vary': 'Origin' };
+}
+
+function sendJson(req, res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...getCorsHeaders(req)
+    });
+    res.end(JSON.stringify(body));
+}
+
+// The Host header is not used to parse the request: a malformed one would make new URL() throw
+const server = http.createServer(async (req, res) => {
+    try {
+        const requestUrl = new URL(req.url, 'http://localhost');
+
+        if (serveTestPage(req, res, requestUrl.pathname)) {
+            return;
+        }
+
+        if (requestUrl.pathname !== '/check' && requestUrl.pathname !== '/raw') {
+            sendJson(req, res, 404, { error: 'Use /check?url=<url> or /raw?url=<url>' });
+            return;
+        }
+
+        // Other web pages open in the browser must not use this server to reach local or intranet hosts
+        if (req.headers.origin && !HOMEPAGE_ORIGINS.includes(req.headers.origin)) {
+            sendJson(req, res, 403, { error: `Origin ${req.headers.origin} is not allowed; see HOMEPAGE_ORIGIN` });
+            return;
+        }
+
+        const target = requestUrl.searchParams.get('url');
+        if (!target) {
+            sendJson(req, res, 400, { error: 'Missing url parameter' });
+            return;
+        }
+
+        if (requestUrl.pathname === '/raw') {
+            try {
+                const result = await fetchRaw(target);
+                res.writeHead(result.status, {
+                    'Content-Type': result.type,
+                    ...getCorsHeaders(req)
+                });
+                res.end(result.body);
+            } catch (e) {
+                sendJson(req, res, 502, { error: e.message });
+            }
+            return;
+        }
+
+        try {
+            sendJson(req, res, 200, await checkUrl(target));
+        } catch (e) {
+            sendJson(req, res, 200, { status: 0, url: target, error: e.message });
+        }
+    } catch (e) {
+        if (!res.headersSent) {
+            sendJson(req, res, 400, { error: e.message });
+        } else {
+            res.end();
+        }
+    }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Link check server listening on http://127.0.0.1:${PORT}`);
+    console.log(`Endpoint for the homepage settings: http://localhost:${PORT}/check?url={url}`);
+});